@@ -4,6 +4,20 @@ const { Property } = require('./src/utils/models/property.model');
 const { BaseWorker } = require('./src/utils/workers/base.worker');
 const { WorkersModule } = require('./src/adapters/workers/workers.module');
 const { StreamModule } = require('./src/adapters/streams/stream.module');
+const {
+  HttpError,
+  BadRequestError,
+  ValidationError,
+  UnauthorizedError,
+  ForbiddenError,
+  NotFoundError,
+  ConflictError,
+  UnprocessableEntityError,
+  TooManyRequestsError,
+  InternalServerError,
+  ServiceUnavailableError,
+} = require('./src/utils/errors/http.error');
+const { DependencyError } = require('./src/utils/errors/dependency.error');
 
 module.exports = {
   Loom,
@@ -12,4 +26,16 @@ module.exports = {
   BaseWorker,
   WorkersModule,
   StreamModule,
+  HttpError,
+  BadRequestError,
+  ValidationError,
+  UnauthorizedError,
+  ForbiddenError,
+  NotFoundError,
+  ConflictError,
+  UnprocessableEntityError,
+  TooManyRequestsError,
+  InternalServerError,
+  ServiceUnavailableError,
+  DependencyError,
 };
@@ -24,16 +24,25 @@ class EventBrokerModule {
       return;
     }
 
-    // Listening and setup socket
+    // Listening and setup socket, with the same origin policy as the HTTP API
     this._webSocketServer = this._socketModule(this._httpServer, {
-      cors: {
-        origin: '*',
-      },
+      cors: this._dependencies.SettingsModule.corsOptions,
     });
 
     this._console.success('Module loaded', { namespace: this._namespace });
   }
 
+  healthCheck() {
+    if (!this._modules?.eventSystem?.broker) {
+      return { status: 'disabled' };
+    }
+
+    return {
+      status: 'up',
+      clients: this._webSocketServer?.engine?.clientsCount || 0,
+    };
+  }
+
   get webSocketServer() {
     return this._webSocketServer;
   }
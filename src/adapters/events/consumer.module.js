@@ -1,3 +1,5 @@
+const ContextUtil = require('../../utils/context.util');
+
 class EventConsumerModule {
   constructor(dependencies) {
     /* Base Properties */
@@ -7,7 +9,6 @@ class EventConsumerModule {
     /* Custom Properties */
     this._path = this._dependencies.path;
     this._config = this._dependencies.config;
-    this._websocketServer = this._dependencies.webSocketServer;
     this._websocketClientModule = this._dependencies.websocketClientModule;
 
     /* Assigments */
@@ -59,6 +60,29 @@ class EventConsumerModule {
     });
   }
 
+  /**
+   * Registers the handlers of `src/events/index` again on the broker
+   * connection, once hot reload cleared it from the `require` cache.
+   *
+   * @returns {number} Amount of connections updated
+   */
+  reload() {
+    if (!this._consumer?.connected) {
+      // Handlers are registered from scratch on the next connection
+      return 0;
+    }
+
+    const { events = [] } = this._eventSystemDefinition?.consumer || {};
+
+    events.forEach((eventDefinition) => {
+      this._consumer.off(eventDefinition.name + eventDefinition.command);
+    });
+
+    this.#registerDynamicEvents({ consumer: this._consumer });
+
+    return 1;
+  }
+
   #registerDynamicEvents({ consumer }) {
     this._eventSystemDefinition = require(
       `${this._dependencies.root}/src/events/index`,
@@ -125,22 +149,41 @@ class EventConsumerModule {
     const Event = require(pathname);
     const event = new Event(this._dependencies, { socket: consumer });
 
-    event.execute({
-      settings: eventSettings,
-      payload: {
-        context: data.context || {
-          event: {
-            name: eventSettings.name,
+    // Restore the correlation id of the emitter, or start a new one
+    const requestId = ContextUtil.resolveRequestId(data.context?.requestId);
+
+    ContextUtil.run({ requestId }, () =>
+      event.execute({
+        settings: eventSettings,
+        payload: {
+          context: {
+            ...(data.context || {
+              event: {
+                name: eventSettings.name,
+              },
+              socket: {
+                id: consumer.id,
+              },
+              topics: eventSettings.topics,
+            }),
+            requestId,
           },
-          socket: {
-            id: consumer.id,
-          },
-          topics: eventSettings.topics,
+          command: data.command || '',
+          values: data.values || {},
         },
-        command: data.command || '',
-        values: data.values || {},
-      },
-    });
+      }),
+    );
+  }
+
+  healthCheck() {
+    if (!this._config?.settings?.eventSystem?.listenConsumerEvents) {
+      return { status: 'disabled' };
+    }
+
+    return {
+      status: this._consumer?.connected ? 'up' : 'down',
+      uri: this._config?.services?.broker?.uri || '',
+    };
   }
 
   getEventDefinitionByName(name) {
@@ -1,3 +1,5 @@
+const ContextUtil = require('../../utils/context.util');
+
 class EventProducerModule {
   constructor(dependencies) {
     /* Base Properties */
@@ -35,7 +37,50 @@ class EventProducerModule {
       });
 
       this.#registerDynamicEvents(socket);
+
+      socket.on('disconnect', () => {
+        this._console.success(`Consumer disconnected ${socket.id}`, {
+          namespace: this._namespace,
+        });
+      });
+    });
+  }
+
+  /**
+   * Registers the handlers of `src/events/index` again on every connected
+   * consumer, once hot reload cleared it from the `require` cache. Event
+   * classes are required on each execution, so they are always up to date.
+   *
+   * @returns {number} Amount of consumers updated
+   */
+  reload() {
+    if (!this._config?.settings?.eventSystem?.listenProducerEvents) {
+      return 0;
+    }
+
+    const previousDefinition = this._eventSystemDefinition;
+    const consumers = [
+      ...(this._websocketServer?.sockets?.sockets?.values() || []),
+    ];
+
+    consumers.forEach((consumer) => {
+      this.#unregisterDynamicEvents(consumer, previousDefinition);
+      this.#registerDynamicEvents(consumer);
+    });
+
+    return consumers.length;
+  }
+
+  #unregisterDynamicEvents(consumer, definition) {
+    const { events = [], topics = [] } = definition?.producer || {};
+
+    events.forEach((eventDefinition) => {
+      consumer.removeAllListeners(
+        eventDefinition.name + eventDefinition.command,
+      );
     });
+
+    topics.forEach((topic) => consumer.leave(topic.name));
   }
 
   #registerDynamicEvents(consumer) {
@@ -76,12 +121,6 @@ class EventProducerModule {
 
       return eventDefinition;
     });
-
-    consumer.on('disconnect', () => {
-      this._console.success(`Consumer disconnected ${consumer.id}`, {
-        namespace: this._namespace,
-      });
-    });
   }
 
   #subscribeTopics({ consumer }) {
@@ -115,22 +154,30 @@ class EventProducerModule {
     const Event = require(pathname);
     const event = new Event(this._dependencies, { socket: consumer });
 
-    event.execute({
-      settings: eventSettings,
-      payload: {
-        context: data.context || {
-          event: {
-            name: eventSettings.name,
+    // Restore the correlation id of the emitter, or start a new one
+    const requestId = ContextUtil.resolveRequestId(data.context?.requestId);
+
+    ContextUtil.run({ requestId }, () =>
+      event.execute({
+        settings: eventSettings,
+        payload: {
+          context: {
+            ...(data.context || {
+              event: {
+                name: eventSettings.name,
+              },
+              socket: {
+                id: consumer.id,
+              },
+              topics: eventSettings.topics,
+            }),
+            requestId,
           },
-          socket: {
-            id: consumer.id,
-          },
-          topics: eventSettings.topics,
+          command: data.command || '',
+          values: data.values || {},
         },
-        command: data.command || '',
-        values: data.values || {},
-      },
-    });
+      }),
+    );
   }
 
   getEventDefinitionByName(name) {
@@ -10,22 +10,46 @@ class FunctionsModule {
 
     /* Assigments */
     this._namespace = '[Loom]::[Functions]';
-    this._cluster = require(
-      this._path.join(this._dependencies.root, 'src/functions/index'),
-    );
+    this._cluster = {};
     this._functions = {
       cache: {},
       timed: {},
       startup: {},
     };
+    this._timers = new Map();
 
     this._console.success('Loading module', { namespace: this._namespace });
 
+    this.#loadFunctions();
+
+    this._console.success('Module loaded', { namespace: this._namespace });
+  }
+
+  #loadFunctions({ runStartup = true } = {}) {
+    this._cluster = require(
+      this._path.join(this._dependencies.root, 'src/functions/index'),
+    );
+
     this.#createCache();
     this.#createTimed();
-    this.#createStartup();
+    this.#createStartup({ runStartup });
+  }
 
-    this._console.success('Module loaded', { namespace: this._namespace });
+  /**
+   * Clears the timers and builds every function again from a fresh
+   * `src/functions/index`. Startup functions are instantiated but not run
+   * a second time.
+   */
+  reload() {
+    this.stop();
+
+    this._functions.cache = {};
+    this._functions.timed = {};
+    this._functions.startup = {};
+
+    this.#loadFunctions({ runStartup: false });
+
+    return this._functions;
   }
 
   #createCache() {
@@ -108,9 +132,9 @@ class FunctionsModule {
         this._functions.timed[functionName] = new Function(this._dependencies);
 
         if (seconds > 0) {
-          setTimeout(() => {
+          const timeout = setTimeout(() => {
             /* Setup next ticks */
-            setInterval(
+            const interval = setInterval(
               () => {
                 this._functions.timed[functionName].run.bind(
                   this._functions.timed[functionName],
@@ -123,7 +147,11 @@ class FunctionsModule {
                 )
                 .as('milliseconds'),
             );
+
+            this._timers.set(functionName, interval);
           }, seconds);
+
+          this._timers.set(functionName, timeout);
         }
       } catch (error) {
         this._console.error(
@@ -137,7 +165,7 @@ class FunctionsModule {
     });
   }
 
-  #createStartup() {
+  #createStartup({ runStartup = true } = {}) {
     this._console.info('Initializing Startup Functions', {
       namespace: this._namespace,
     });
@@ -163,7 +191,9 @@ class FunctionsModule {
           this._dependencies,
         );
 
-        this.#executeStartupFunction(functionDefinition);
+        if (runStartup) {
+          this.#executeStartupFunction(functionDefinition);
+        }
       } catch (error) {
         this._console.error(
           `Function failed: ${JSON.stringify(functionDefinition)}`,
@@ -188,6 +218,21 @@ class FunctionsModule {
     }
   }
 
+  /**
+   * Clears every pending timeout and interval of the timed functions.
+   *
+   * @returns {number} Amount of timers cleared
+   */
+  stop() {
+    const cleared = this._timers.size;
+
+    // clearTimeout and clearInterval are interchangeable on Node timers
+    this._timers.forEach((timer) => clearTimeout(timer));
+    this._timers.clear();
+
+    return cleared;
+  }
+
   get definition() {
     return this._functions;
   }
@@ -1,3 +1,6 @@
+const ContextUtil = require('../../utils/context.util');
+const { HttpError } = require('../../utils/errors/http.error');
+
 class ApiModule {
   constructor(dependencies) {
     /* Base Properties */
@@ -15,9 +18,18 @@ class ApiModule {
     /* Assigments */
     this._namespace = '[Loom]::[Adapter]::[HTTP]::[API]';
     this._router = this._express.Router();
+    this._apiRouter = this._express.Router();
+    this._versionRouters = new Map();
+    this._versions = this._config?.server?.versions || {};
     this._path = dependencies.path;
     this._multer = dependencies.multerModule;
     this._storage = {};
+    this._endpoints = [];
+    this._isServerLoaded = false;
+    this._isServerStopping = false;
+    this._requestIdHeader = (
+      this._config?.server?.requestIdHeader || 'x-request-id'
+    ).toLowerCase();
   }
 
   setup() {
@@ -25,6 +37,8 @@ class ApiModule {
 
     this.#handleStorageConfig();
 
+    this._utilities.rateLimit.setup();
+
     this.#buildRoutes();
 
     this._console.success('Module loaded', { namespace: this._namespace });
@@ -41,29 +55,73 @@ class ApiModule {
    * @param {Object} args.route - Information about the route.
    * @param {string} args.domain - The domain for the route.
    * @param {Object} args.endpoint - Information about the endpoint including its method, httpRoute, and whether it's protected.
+   * @param {string} [args.version] - API version the endpoint is mounted under, e.g. "v1".
    * @returns {void}
    */
-  #handleHttpMethod({ route, domain, endpoint }) {
+  #handleHttpMethod({ route, domain, endpoint, version }) {
     // Convert endpoint method to lower case.
     const method = endpoint.method.toLocaleLowerCase();
 
-    // Construct the full route path.
-    const routePath = `/${domain}${endpoint.httpRoute}`;
+    // Construct the route path inside its router, and the full public path.
+    const versionPath = `/${domain}${endpoint.httpRoute}`;
+    const routePath = version ? `/${version}${versionPath}` : versionPath;
 
     // Select handler based on streaming flag.
     const routeHandler = endpoint.streaming
       ? (req, res) =>
           this.#handleStreamRoute({ route, domain, endpoint, req, res })
-      : (req, res) =>
-          this.#handleRoute({ route, domain, endpoint, req, res });
+      : (req, res, next) =>
+          this.#handleRoute({ route, domain, endpoint, req, res, next });
+
+    // Security overrides of the endpoint (CORS, Helmet, compression).
+    // Streams are never compressed, compression buffers the events.
+    const security = endpoint.streaming
+      ? { compression: false, ...endpoint.security }
+      : endpoint.security;
+
+    if (security) {
+      this._dependencies.SettingsModule?.registerPolicy({
+        method,
+        path: routePath,
+        security,
+      });
+    }
 
     // An array to hold any middleware functions that need to be applied.
-    const middlewares = [];
+    // The correlation id goes first so even rejected requests echo it back.
+    const middlewares = [this.#handleRequestId.bind(this)];
+
+    // Deprecated endpoints announce it on every response.
+    if (endpoint.deprecated) {
+      middlewares.push(this.#handleDeprecation(endpoint.deprecated));
+    }
+
+    // Rate limiting runs before any body parsing, unless it needs the token identity.
+    const rateLimit = this._utilities.rateLimit.options(endpoint.rateLimit);
+    const rateLimiter =
+      rateLimit &&
+      this._utilities.rateLimit.middleware(rateLimit, `${method}:${routePath}`);
+
+    if (rateLimiter && rateLimit.key !== 'identity') {
+      middlewares.push(rateLimiter);
+    }
 
     // Body parsing per-route: each endpoint gets its own parser with configurable limit.
+    // The raw body is kept for HMAC signed requests.
     const bodyLimit = endpoint.bodyLimit || '100kb';
-    middlewares.push(this._dependencies.bodyParser.json({ limit: bodyLimit }));
-    middlewares.push(this._dependencies.bodyParser.urlencoded({ extended: true, limit: bodyLimit }));
+    const verify = (req, _res, buffer) => {
+      req.rawBody = buffer;
+    };
+    middlewares.push(
+      this._dependencies.bodyParser.json({ limit: bodyLimit, verify }),
+    );
+    middlewares.push(
+      this._dependencies.bodyParser.urlencoded({
+        extended: true,
+        limit: bodyLimit,
+        verify,
+      }),
+    );
 
     // If the component supports file uploads, add the file handling middleware.
     if (endpoint.supportFile) {
@@ -71,15 +129,108 @@ class ApiModule {
     }
 
     // If the endpoint is protected, add the validation middleware.
-    if (endpoint.protected) {
+    // `true` keeps the legacy token check, names pick authentication strategies.
+    if (endpoint.protected === true) {
       middlewares.push(this._utilities.validator.api.endpoint);
+    } else if (endpoint.protected) {
+      middlewares.push(
+        this._utilities.validator.api.authenticate(endpoint.protected),
+      );
+    }
+
+    // Roles and permissions are checked once the principal is known.
+    if (endpoint.roles || endpoint.permissions) {
+      middlewares.push(
+        this._utilities.validator.api.authorize({
+          roles: endpoint.roles,
+          permissions: endpoint.permissions,
+        }),
+      );
+    }
+
+    if (rateLimiter && rateLimit.key === 'identity') {
+      middlewares.push(rateLimiter);
+    }
+
+    // If the endpoint declares a schema, validate the request before the handler.
+    if (endpoint.schema) {
+      middlewares.push(this._utilities.validator.api.schema(endpoint.schema));
     }
 
     // Always add the main route handler as the last middleware.
     middlewares.push(routeHandler);
 
     // Register the route with all its middleware.
-    this._router[method](routePath, ...middlewares);
+    this.#getRouter(version)[method](versionPath, ...middlewares);
+
+    // Keep the definition so the OpenAPI document can describe it.
+    this._endpoints.push({ method, routePath, endpoint, version });
+  }
+
+  /**
+   * Returns the router of an API version, creating it on first use. Versioned
+   * routers are mounted under `/<version>` by `#buildRoutes`.
+   *
+   * Settings of each version live in `server.versions`, e.g.
+   *   { "v1": { "deprecated": { "since": "2025-01-01", "sunset": "2026-06-30", "link": "https://..." } } }
+   */
+  #getRouter(version) {
+    if (!version) {
+      return this._router;
+    }
+
+    if (!this._versionRouters.has(version)) {
+      const router = this._express.Router();
+      const deprecated = this._versions[version]?.deprecated;
+
+      if (deprecated) {
+        router.use(this.#handleDeprecation(deprecated));
+      }
+
+      this._versionRouters.set(version, router);
+    }
+
+    return this._versionRouters.get(version);
+  }
+
+  /**
+   * Normalizes a version key or `version` field: `2`, `'2'` and `'V2'` are `'v2'`.
+   */
+  #normalizeVersion(version) {
+    if (version === undefined || version === null || version === '') {
+      return undefined;
+    }
+
+    const name = `${version}`.toLowerCase();
+
+    return name.startsWith('v') ? name : `v${name}`;
+  }
+
+  #isVersionKey(key) {
+    return /^v\d+(\.\d+)*$/i.test(key);
+  }
+
+  /**
+   * Builds the middleware sending the `Deprecation` and `Sunset` headers.
+   *
+   * @param {boolean|Object} deprecated - `true`, or `{ since, sunset, link }`
+   *   where `since` and `sunset` are dates and `link` documents the migration.
+   */
+  #handleDeprecation(deprecated) {
+    const { since, sunset, link } =
+      typeof deprecated === 'object' ? deprecated : {};
+    const headers = {
+      Deprecation: since
+        ? `@${Math.floor(new Date(since).getTime() / 1000)}`
+        : 'true',
+      ...(sunset ? { Sunset: new Date(sunset).toUTCString() } : {}),
+      ...(link ? { Link: `<${link}>; rel="deprecation"` } : {}),
+    };
+
+    return (_req, res, next) => {
+      res.set(headers);
+      next();
+    };
   }
 
   #handleStorageConfig() {
@@ -91,18 +242,53 @@ class ApiModule {
     });
   }
 
-  async #handleRoute({ route, domain, endpoint, req, res }) {
+  /**
+   * Accepts the incoming `x-request-id` (or generates one), exposes it as
+   * `req.requestId` and echoes it back in the response headers.
+   *
+   * The header name is configurable through `server.requestIdHeader`.
+   * It also opens the dependency scope of the request as `req.scope`.
+   */
+  #handleRequestId(req, res, next) {
+    req.requestId = ContextUtil.resolveRequestId(
+      req.headers[this._requestIdHeader],
+    );
+
+    res.setHeader(this._requestIdHeader, req.requestId);
+
+    // Scoped dependencies live as long as the request
+    req.scope = this._dependencies.DependenciesModule?.createScope();
+    res.once('close', () => req.scope?.dispose());
+
+    ContextUtil.run({ requestId: req.requestId, scope: req.scope }, next);
+  }
+
+  async #handleRoute({ route, domain, endpoint, req, res, next }) {
     const params = this._utilities.io.request.getParameters(req);
     const headers = req.headers;
 
-    const serviceResponse = await route[endpoint.handler]({
-      params,
-      req,
-      res,
-      headers,
-    });
+    try {
+      // Body parsers resume on socket callbacks, so the context is re-entered here
+      const serviceResponse = await ContextUtil.run(
+        {
+          requestId: req.requestId,
+          principal: req.principal,
+          scope: req.scope,
+        },
+        () =>
+          route[endpoint.handler]({
+            params,
+            req,
+            res,
+            headers,
+          }),
+      );
 
-    res.status(serviceResponse?.status || 200).json(serviceResponse);
+      res.status(serviceResponse?.status || 200).json(serviceResponse);
+    } catch (error) {
+      // Handled by #handleError with the standard response envelope
+      next(error);
+    }
   }
 
   /**
@@ -117,13 +303,21 @@ class ApiModule {
     const stream = this._utilities.sse.createStream(res);
 
     try {
-      await route[endpoint.handler]({
-        params,
-        req,
-        res,
-        headers,
-        stream,
-      });
+      await ContextUtil.run(
+        {
+          requestId: req.requestId,
+          principal: req.principal,
+          scope: req.scope,
+        },
+        () =>
+          route[endpoint.handler]({
+            params,
+            req,
+            res,
+            headers,
+            stream,
+          }),
+      );
     } catch (error) {
       if (!stream.closed) {
         stream.send(
@@ -145,8 +339,9 @@ class ApiModule {
    * @param {Object} args
    * @param {string} args.domainPath - Joined domain segments, e.g. "finance/transactions".
    * @param {Object} args.endpoint   - Endpoint definition from the router tree.
+   * @param {string} [args.version]  - Version of the enclosing version key, if any.
    */
-  #registerEndpoint({ domainPath, endpoint }) {
+  #registerEndpoint({ domainPath, endpoint, version }) {
     try {
       const Route = require(
         this._path.join(this._dependencies.root, `src/${endpoint.route}`),
@@ -156,6 +351,7 @@ class ApiModule {
         route: new Route(this._dependencies),
         domain: domainPath,
         endpoint,
+        version: this.#normalizeVersion(endpoint.version ?? version),
       });
     } catch (error) {
       this._console.error(
@@ -179,8 +375,9 @@ class ApiModule {
    * @private
    * @param {*} node - Current node in the router tree (object or array).
    * @param {string[]} domainSegments - Accumulated domain segments.
+   * @param {string} [version] - Version key the node is nested under.
    */
-  #walkRouterNode(node, domainSegments = []) {
+  #walkRouterNode(node, domainSegments = [], version) {
     if (!node) return;
 
     // Case 1: leaf node is an array of endpoint definitions
@@ -188,7 +385,7 @@ class ApiModule {
       const domainPath = domainSegments.join('/');
 
       node.forEach((endpoint) => {
-        this.#registerEndpoint({ domainPath, endpoint });
+        this.#registerEndpoint({ domainPath, endpoint, version });
       });
 
       return;
@@ -202,7 +399,7 @@ class ApiModule {
         const child = node[key];
         const nextSegments = [...domainSegments, key];
 
-        this.#walkRouterNode(child, nextSegments);
+        this.#walkRouterNode(child, nextSegments, version);
       });
 
       return;
@@ -226,6 +423,10 @@ class ApiModule {
    *   domainSegments = ['finance', 'transactions', 'auditing']
    *   endpoint.httpRoute = '/accounting-lock/list'
    *   → /finance/transactions/auditing/accounting-lock/list
+   *
+   * Root keys such as `v1` or `v2` are version namespaces: their domains are
+   * mounted under `/v1`, `/v2`... Endpoints outside of them can set a
+   * `version` field instead.
    */
   #buildApiEndpoints() {
     const router = require(
@@ -238,12 +439,15 @@ class ApiModule {
 
       const node = router[rootKey];
 
+      // Version keys are a prefix, not a domain: their children are the domains.
+      if (this.#isVersionKey(rootKey) && !Array.isArray(node)) {
+        this.#walkRouterNode(node, [], rootKey);
+        return;
+      }
+
       // Start recursion with the root key as the first domain segment.
       this.#walkRouterNode(node, [rootKey]);
     });
-
-    // All API REST endpoints are mounted under the root path.
-    this._app.use('/', this._router);
   }
 
   /**
@@ -253,7 +457,7 @@ class ApiModule {
    * (normal dependency usage) and falls back to a local path when
    * running directly from the SDK repository.
    */
-  #buildDocs() {
+  #buildDocs(apiRouter) {
     let baseModelPath;
 
     try {
@@ -304,7 +508,10 @@ class ApiModule {
 
     const specs = this._swaggerJsdoc(options);
 
-    this._app.use(
+    this.#buildRouterPaths(specs);
+    this.#buildComponentSchemas(specs);
+
+    apiRouter.use(
       '/open-api.playground',
       this._swaggerUi.serve,
       this._swaggerUi.setup(specs, {
@@ -312,17 +519,558 @@ class ApiModule {
       }),
     );
 
-    this._app.get('/open-api.json', (_, res) => {
+    apiRouter.get('/open-api.json', (_, res) => {
       res.setHeader('Content-Type', 'application/json');
       res.send(specs);
     });
+
+    this.#buildSchemaRoutes(apiRouter);
+
+    // Each version also gets a document with only its own paths
+    this._versionRouters.forEach((_router, version) => {
+      const versionSpecs = this.#buildVersionSpecs(specs, version);
+
+      apiRouter.get(`/open-api/${version}.json`, (_, res) => {
+        res.setHeader('Content-Type', 'application/json');
+        res.send(versionSpecs);
+      });
+    });
+  }
+
+  // Models registered as data types, JSDoc schemas win on name clashes
+  #buildComponentSchemas(specs) {
+    const schemas = this._dependencies.DataTypesModule?.toOpenAPISchemas();
+
+    if (!schemas || !Object.keys(schemas).length) {
+      return;
+    }
+
+    specs.components = specs.components || {};
+    specs.components.schemas = { ...schemas, ...specs.components.schemas };
+  }
+
+  /**
+   * Serves the JSON Schema of the data types: `/schemas.json` with all of
+   * them and `/schemas/<name>.json` with one type or model.
+   */
+  #buildSchemaRoutes(apiRouter) {
+    const dataTypes = this._dependencies.DataTypesModule;
+    const send = (res, schema) => {
+      res.setHeader('Content-Type', 'application/schema+json');
+      res.send(JSON.stringify(schema));
+    };
+
+    apiRouter.get('/schemas.json', (_req, res) =>
+      send(res, dataTypes.toJSONSchema()),
+    );
+
+    apiRouter.get('/schemas/:name.json', (req, res) => {
+      const schema = dataTypes.toJSONSchema(req.params.name);
+
+      if (!schema) {
+        return res
+          .status(404)
+          .json(
+            this._utilities.io.response.error(
+              `Schema "${req.params.name}" not found`,
+              { status: 404 },
+            ),
+          );
+      }
+
+      send(res, schema);
+    });
+  }
+
+  #buildVersionSpecs(specs, version) {
+    const prefix = `/${version}/`;
+
+    return {
+      ...specs,
+      info: { ...specs.info, version },
+      paths: Object.fromEntries(
+        Object.entries(specs.paths || {}).filter(([path]) =>
+          path.startsWith(prefix),
+        ),
+      ),
+    };
+  }
+
+  /**
+   * Builds the OpenAPI `paths` from the endpoints registered by the router, so
+   * every real route is documented even without JSDoc annotations.
+   *
+   * JSDoc operations found by swagger-jsdoc for the same method and path are
+   * merged on top as enrichment (summary, description, tags, responses...).
+   * Parameters and request body declared through `schema` always win, as they
+   * are what the request validation enforces.
+   */
+  #buildRouterPaths(specs) {
+    const annotated = specs.paths || {};
+
+    // The response envelope documented in the SDK base model, when available
+    const envelope = specs.components?.schemas?.Response
+      ? { $ref: '#/components/schemas/Response' }
+      : { type: 'object' };
+
+    specs.paths = { ...annotated };
+
+    this._endpoints.forEach(({ method, routePath, endpoint, version }) => {
+      // Express `:id` segments are `{id}` in OpenAPI
+      const path = routePath.replace(/:(\w+)/g, '{$1}');
+      const generated = this.#buildOperation({
+        routePath,
+        endpoint,
+        envelope,
+        version,
+      });
+      const jsdoc = annotated[path]?.[method];
+
+      specs.paths[path] = {
+        ...specs.paths[path],
+        [method]: jsdoc
+          ? this.#mergeOperation({ generated, jsdoc, endpoint })
+          : generated,
+      };
+    });
+
+    // Only the schemes referenced by some endpoint are declared
+    const schemes = this.#securitySchemes();
+    const used = this._endpoints
+      .flatMap(({ endpoint }) => this.#strategyNames(endpoint.protected))
+      .filter((name) => schemes[name]);
+
+    if (used.length) {
+      specs.components = specs.components || {};
+      specs.components.securitySchemes = {
+        ...Object.fromEntries(used.map((name) => schemes[name])),
+        ...specs.components.securitySchemes,
+      };
+    }
+  }
+
+  #strategyNames(isProtected) {
+    if (!isProtected) {
+      return [];
+    }
+
+    return [].concat(isProtected === true ? 'token' : isProtected);
+  }
+
+  /** OpenAPI security scheme of each built-in strategy, as `[name, scheme]`. */
+  #securitySchemes() {
+    const apiKeyHeader =
+      this._config?.settings?.auth?.apiKey?.header || 'x-api-key';
+
+    return {
+      token: [
+        'accessToken',
+        {
+          type: 'apiKey',
+          in: 'header',
+          name: 'x-access-token',
+          description:
+            'Encrypted access token, also accepted as `token` in the query or body.',
+        },
+      ],
+      bearer: [
+        'bearerAuth',
+        { type: 'http', scheme: 'bearer', bearerFormat: 'JWT' },
+      ],
+      apiKey: ['apiKey', { type: 'apiKey', in: 'header', name: apiKeyHeader }],
+      hmac: [
+        'hmacSignature',
+        {
+          type: 'apiKey',
+          in: 'header',
+          name: 'x-signature',
+          description:
+            'HMAC of `timestamp\\nMETHOD\\nurl\\nbody`, sent with `x-timestamp` and `x-client-id`.',
+        },
+      ],
+    };
+  }
+
+  #buildOperation({ routePath, endpoint, envelope, version }) {
+    const { body, ...parameters } = endpoint.schema || {};
+    const declared = this.#schemaToParameters(parameters);
+
+    // Path params not covered by the schema are still documented as strings
+    const pathParameters = [...routePath.matchAll(/:(\w+)/g)]
+      .map(([, name]) => name)
+      .filter(
+        (name) =>
+          !declared.some((item) => item.in === 'path' && item.name === name),
+      )
+      .map((name) => ({
+        name,
+        in: 'path',
+        required: true,
+        schema: { type: 'string' },
+      }));
+
+    const operation = {
+      // Tagged with the root domain, after the version prefix
+      tags: [routePath.split('/')[version ? 2 : 1]],
+      parameters: [...pathParameters, ...declared],
+      responses: endpoint.streaming
+        ? {
+            200: {
+              description: 'Server-Sent Events stream',
+              content: { 'text/event-stream': { schema: { type: 'string' } } },
+            },
+          }
+        : {
+            200: {
+              description: 'Successful response',
+              content: { 'application/json': { schema: envelope } },
+            },
+          },
+    };
+
+    if (endpoint.supportFile) {
+      operation.requestBody = {
+        required: true,
+        content: {
+          'multipart/form-data': {
+            schema: {
+              ...body,
+              type: 'object',
+              required: ['file', ...(body?.required || [])],
+              properties: {
+                ...body?.properties,
+                file: { type: 'string', format: 'binary' },
+              },
+            },
+          },
+        },
+      };
+    } else if (body) {
+      operation.requestBody = {
+        required: !!body.required?.length,
+        content: { 'application/json': { schema: body } },
+      };
+    }
+
+    if (endpoint.schema) {
+      operation.responses[400] = { description: 'Request validation failed' };
+    }
+
+    if (endpoint.deprecated || this._versions[version]?.deprecated) {
+      operation.deprecated = true;
+    }
+
+    if (endpoint.protected) {
+      const schemes = this.#securitySchemes();
+
+      // Any of the strategies is enough: each one is an alternative requirement
+      // listing the permissions (scopes) the endpoint needs
+      operation.security = this.#strategyNames(endpoint.protected)
+        .filter((name) => schemes[name])
+        .map((name) => ({
+          [schemes[name][0]]: [].concat(endpoint.permissions || []),
+        }));
+      operation.responses[endpoint.protected === true ? 403 : 401] = {
+        description: 'Missing or invalid credentials',
+      };
+    }
+
+    if (endpoint.roles || endpoint.permissions) {
+      const roles = [].concat(endpoint.roles || []);
+      const permissions = [].concat(endpoint.permissions || []);
+
+      operation['x-roles'] = roles;
+      operation['x-permissions'] = permissions;
+      operation.description = [
+        roles.length && `Requires one of the roles: ${roles.join(', ')}.`,
+        permissions.length &&
+          `Requires the permissions: ${permissions.join(', ')}.`,
+      ]
+        .filter(Boolean)
+        .join(' ');
+      operation.responses[403] = { description: 'Insufficient permissions' };
+    }
+
+    return operation;
+  }
+
+  #mergeOperation({ generated, jsdoc, endpoint }) {
+    const hasSchema = (location) => !!endpoint.schema?.[location];
+    const locations = { path: 'params', query: 'query', header: 'headers' };
+    const isSame = (a, b) => a.in === b.in && a.name === b.name;
+
+    // Schema parameters win, otherwise JSDoc enriches the generated ones
+    const parameters = [
+      ...(jsdoc.parameters || []).filter(
+        (parameter) =>
+          !(
+            hasSchema(locations[parameter.in]) &&
+            generated.parameters.some((item) => isSame(item, parameter))
+          ),
+      ),
+      ...generated.parameters.filter(
+        (parameter) =>
+          hasSchema(locations[parameter.in]) ||
+          !(jsdoc.parameters || []).some((item) => isSame(item, parameter)),
+      ),
+    ];
+
+    return {
+      ...generated,
+      ...jsdoc,
+      parameters,
+      requestBody: hasSchema('body')
+        ? generated.requestBody
+        : jsdoc.requestBody || generated.requestBody,
+      responses: { ...generated.responses, ...jsdoc.responses },
+    };
+  }
+
+  #schemaToParameters(schema) {
+    const locations = { params: 'path', query: 'query', headers: 'header' };
+
+    return Object.entries(locations).flatMap(([location, type]) => {
+      const { properties = {}, required = [] } = schema[location] || {};
+
+      return Object.entries(properties).map(([name, property]) => {
+        const { description, ...propertySchema } = property;
+
+        return {
+          name,
+          in: type,
+          required: type === 'path' || required.includes(name),
+          ...(description ? { description } : {}),
+          schema: propertySchema,
+        };
+      });
+    });
+  }
+
+  /**
+   * Registers the liveness and readiness probes.
+   *
+   * Configurable under `server.health`:
+   *   { enabled: true, livePath: '/health/live', readyPath: '/health/ready', timeout: 5000 }
+   *
+   * Readiness asks every booted module for its `healthCheck()` and answers 503
+   * with a per-component breakdown when any of them reports `down`, when
+   * `server::loaded` has not fired yet, or while the server is shutting down.
+   */
+  #buildHealthRoutes() {
+    const settings = this._config?.server?.health || {};
+
+    if (settings.enabled === false) {
+      return;
+    }
+
+    this._app.get(settings.livePath || '/health/live', (_req, res) => {
+      res
+        .status(200)
+        .json(
+          this._utilities.io.response.success(
+            { status: 'up', uptime: process.uptime() },
+            'Service is alive',
+          ),
+        );
+    });
+
+    this._app.get(settings.readyPath || '/health/ready', async (_req, res) => {
+      const components = await this.#checkReadiness(settings.timeout || 5000);
+      const isReady = Object.values(components).every(
+        (component) => component.status !== 'down',
+      );
+
+      if (!isReady) {
+        return res.status(503).json(
+          this._utilities.io.response.error('Service is not ready', {
+            status: 503,
+            result: { status: 'down', components },
+          }),
+        );
+      }
+
+      res
+        .status(200)
+        .json(
+          this._utilities.io.response.success(
+            { status: 'up', components },
+            'Service is ready',
+          ),
+        );
+    });
+  }
+
+  async #checkReadiness(timeout) {
+    const modules = {
+      database: this._dependencies.DatabaseModule,
+      storage: this._dependencies.StorageModule,
+      observability: this._dependencies.ObservabilityModule,
+      broker: this._dependencies.BrokerModule,
+      consumer: this._dependencies.ConsumerModule,
+      workers: this._dependencies.WorkersModule,
+      email: this._dependencies.EmailModule,
+      // Application modules registered in the boot lifecycle
+      ...this._dependencies.LifecycleModule?.modules,
+    };
+    const components = {
+      server: {
+        status: this._isServerLoaded && !this._isServerStopping ? 'up' : 'down',
+        loaded: this._isServerLoaded,
+        stopping: this._isServerStopping,
+      },
+    };
+
+    await Promise.all(
+      Object.entries(modules).map(async ([name, module]) => {
+        if (typeof module?.healthCheck !== 'function') {
+          components[name] = { status: 'disabled' };
+          return;
+        }
+
+        components[name] = await this.#runHealthCheck(module, timeout);
+      }),
+    );
+
+    return components;
+  }
+
+  async #runHealthCheck(module, timeout) {
+    let timer;
+
+    try {
+      const deadline = new Promise((_, reject) => {
+        timer = setTimeout(
+          () => reject(new Error(`Health check timed out after ${timeout}ms`)),
+          timeout,
+        );
+      });
+
+      return await Promise.race([module.healthCheck(), deadline]);
+    } catch (error) {
+      return { status: 'down', message: error?.message };
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  /** Flags `server::loaded` for the readiness probe. Called by Loom. */
+  markAsLoaded() {
+    this._isServerLoaded = true;
+  }
+
+  /** Flips the readiness probe to 503 while shutting down. Called by Loom. */
+  markAsStopping() {
+    this._isServerStopping = true;
+  }
+
+  /**
+   * Final error middleware: maps anything thrown by the pipeline to the
+   * `IOUtil` response envelope.
+   *
+   * - `HttpError` subclasses (NotFoundError, ValidationError...) keep their
+   *   status, message and result.
+   * - Errors raised by Express middlewares (body-parser, multer) keep their
+   *   status when it is a valid HTTP error code.
+   * - Anything else is a 500 with a generic message.
+   *
+   * The stack is included only when `NODE_ENV` is `development`. Server errors
+   * are logged and reported to the observability adapter through its optional
+   * `captureException(error, context)`.
+   */
+  #handleError(error, req, res, next) {
+    if (res.headersSent) {
+      return next(error);
+    }
+
+    const candidate = error?.status || error?.statusCode;
+    const status =
+      Number.isInteger(candidate) && candidate >= 400 && candidate < 600
+        ? candidate
+        : 500;
+    const isExposed =
+      error instanceof HttpError
+        ? error.expose
+        : status < 500 || !!error?.expose;
+    const response = this._utilities.io.response.error(
+      isExposed ? error?.message : null,
+      { status, result: error instanceof HttpError ? error.result : null },
+    );
+
+    if (process.env.NODE_ENV === 'development' && error?.stack) {
+      response.stack = error.stack;
+    }
+
+    if (status >= 500) {
+      this.#reportError(error, { req, status });
+    }
+
+    res.status(status).json(response);
+  }
+
+  #reportError(error, { req, status }) {
+    this._console.error(`${req.method} ${req.originalUrl} failed`, {
+      namespace: this._namespace,
+      error,
+    });
+
+    const adapter = this._dependencies.observability?.default?.adapter;
+
+    if (typeof adapter?.captureException !== 'function') {
+      return;
+    }
+
+    try {
+      adapter.captureException(error, {
+        requestId: req.requestId,
+        method: req.method,
+        path: req.originalUrl,
+        status,
+      });
+    } catch (reportError) {
+      this._console.error('Observability adapter failed to capture error', {
+        namespace: this._namespace,
+        error: reportError,
+      });
+    }
   }
 
   #buildRoutes() {
-    this.#buildDocs();
+    this.#buildHealthRoutes();
+
+    // The API lives in its own router so hot reload can swap it in place
+    this._app.use((req, res, next) => this._apiRouter(req, res, next));
+
+    this.#buildApiRouter();
+
+    // Must be registered last to catch errors from every route above
+    this._app.use(this.#handleError.bind(this));
+  }
+
+  /**
+   * Builds the endpoints, the docs and the 404 fallback into a new router and
+   * makes it the active one.
+   */
+  #buildApiRouter() {
+    const apiRouter = this._express.Router();
+
+    this._router = this._express.Router();
+    this._versionRouters = new Map();
+    this._endpoints = [];
 
+    // Endpoints are collected before the docs so the spec can describe them
     this.#buildApiEndpoints();
 
+    this.#buildDocs(apiRouter);
+
+    // Versioned endpoints are mounted under their prefix, before the root router
+    // and its 404 fallback.
+    this._versionRouters.forEach((router, version) => {
+      apiRouter.use(`/${version}`, router);
+    });
+
+    // All API REST endpoints are mounted under the root path.
+    apiRouter.use('/', this._router);
+
     // Something else route response a 404 error
     this._router.get('{*splat}', (_req, res) => {
       res
@@ -331,6 +1079,21 @@ class ApiModule {
           'This API is not fully armed and operational... Try another valid route.',
         );
     });
+
+    this._apiRouter = apiRouter;
+  }
+
+  /**
+   * Rebuilds the router from `src/routes/router.js`. Used by the hot reload
+   * module once the changed files are out of the `require` cache. Requests in
+   * flight finish on the previous router.
+   */
+  reload() {
+    this._dependencies.SettingsModule?.resetPolicies?.();
+
+    this.#buildApiRouter();
+
+    return this._endpoints.length;
   }
 }
 
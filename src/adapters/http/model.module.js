@@ -1,3 +1,6 @@
+const ModelBase = require('../../utils/models/base.model');
+const { Repository } = require('../../utils/models/repository.model');
+
 class ModelModule {
   constructor(dependencies) {
     /* Base Properties */
@@ -9,6 +12,7 @@ class ModelModule {
 
     /* Assigments */
     this._namespace = '[Loom]::[Adapter]::[HTTP]::[Model]';
+    this._repositories = {};
   }
 
   setup() {
@@ -16,6 +20,7 @@ class ModelModule {
 
     this._models = require(`${this._dependencies.root}/src/models/index`);
     this.#registerModelsAsTypes();
+    this.#buildRepositories();
 
     this._console.success('Module loaded', { namespace: this._namespace });
   }
@@ -43,6 +48,25 @@ class ModelModule {
     this._console.success('All models registered as types successfully.', { namespace: this._namespace });
   }
 
+  // One repository per model extending ModelBase
+  #buildRepositories() {
+    Object.entries(this._models).forEach(([name, Model]) => {
+      if (!(Model?.prototype instanceof ModelBase)) {
+        return;
+      }
+
+      this._repositories[name] = new Repository({
+        name,
+        Model,
+        dependencies: this._dependencies,
+      });
+    });
+  }
+
+  get repositories() {
+    return this._repositories;
+  }
+
   get models() {
     return this._models;
   }
@@ -22,6 +22,16 @@ class ServiceModule {
     this._services = require(`${this._dependencies.root}/src/services/index`);
   }
 
+  /**
+   * Requires `src/services/index` again, once hot reload cleared it from the
+   * `require` cache.
+   */
+  reload() {
+    this.#loadServices();
+
+    return this._services;
+  }
+
   get services() {
     return this._services;
   }
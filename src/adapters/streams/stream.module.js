@@ -18,6 +18,20 @@ class StreamModule {
     this._console.success('Module loaded', { namespace: this._namespace });
   }
 
+  /**
+   * Instantiates the streams again from a fresh `src/streams/index`. The
+   * `streams` object is refilled in place, so the dependency stays valid.
+   */
+  reload() {
+    Object.keys(this._instances).forEach((name) => {
+      delete this._instances[name];
+    });
+
+    this.#loadAndInstantiate();
+
+    return this._instances;
+  }
+
   #loadAndInstantiate() {
     let manifest;
 
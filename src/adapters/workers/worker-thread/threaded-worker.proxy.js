@@ -79,11 +79,9 @@ class ThreadedWorkerProxy {
     return new Promise((resolve, reject) => {
       this._resolveCmd = resolve;
       this._rejectCmd = reject;
-      // Serialize Context: Remove non-serializable parts if any
-      // ctx options might contain functions? unlikely in this project.
       this.worker.postMessage({
         cmd: 'activateBackground',
-        ctx: JSON.parse(JSON.stringify(ctx)),
+        ctx: this.#serializeContext(ctx),
       });
     });
   }
@@ -94,11 +92,30 @@ class ThreadedWorkerProxy {
       this._rejectCmd = reject;
       this.worker.postMessage({
         cmd: 'stop',
-        ctx: JSON.parse(JSON.stringify(ctx)),
+        ctx: this.#serializeContext(ctx),
       });
     });
   }
 
+  /**
+   * Kills the thread without running any hook (used to discard crashed instances).
+   */
+  terminate() {
+    return this.worker.terminate();
+  }
+
+  /**
+   * Keeps the plain fields of the context: adapters and logger live in the
+   * main thread and cannot cross the thread boundary.
+   */
+  #serializeContext(ctx = {}) {
+    const { phase, name, alias, pid, requestId, options } = ctx;
+
+    return JSON.parse(
+      JSON.stringify({ phase, name, alias, pid, requestId, options }),
+    );
+  }
+
   // Implement other hooks as no-ops or similar bridges if needed
 }
 
@@ -75,10 +75,13 @@
  * Error Semantics
  * ---------------
  * - If any Worker hook throws, the FSM transitions to CRASHED.
- * - This module does NOT implement retries/backoff; that is a host policy concern.
+ * - This module does NOT implement retries/backoff; WorkersModule applies the restart
+ *   policies (WorkerSupervisor) by listening to the 'transition' events.
  *
  * Integration Points
  * ------------------
+ * - Emits 'transition' { name, alias, from, on, to, at, durationMs, error? } after every
+ *   transition; durationMs is the time spent in the hook.
  * - Constructed and owned by WorkersModule per instance.
  * - WorkersModule supplies `makeContext(phase, name, alias, options)` to build hook contexts.
  * - WorkersModule persists `state/createdAt/lastTransitionAt` from this FSM as its single source of truth.
@@ -271,6 +274,7 @@ class WorkerStateMachine extends EventEmitter {
     this.app = dependencies.app;
     this.name = dependencies.name;
     this.alias = dependencies.alias;
+    this._makeContext = dependencies.makeContext;
 
     this.state = dependencies.state; // null -> before CREATE
     this.createdAt = Date.now();
@@ -346,6 +350,7 @@ class WorkerStateMachine extends EventEmitter {
     const next = entry.to;
     const phase = inferPhase(entry.on);
     const ctx = this.#makeCtx(phase, options);
+    const startedAt = Date.now();
 
     try {
       if (entry.effect) {
@@ -365,6 +370,7 @@ class WorkerStateMachine extends EventEmitter {
         on: entry.on,
         to: next,
         at: this.lastTransitionAt,
+        durationMs: this.lastTransitionAt - startedAt,
       });
       return this.state;
     } catch (err) {
@@ -381,6 +387,8 @@ class WorkerStateMachine extends EventEmitter {
         from: prev,
         on: entry.on,
         to: WorkerStates.CRASHED,
+        at: this.lastTransitionAt,
+        durationMs: this.lastTransitionAt - startedAt,
         error: err,
       });
       throw err;
@@ -0,0 +1,584 @@
+// src/adapters/workers/worker.supervisor.js
+
+/**
+ * WorkerSupervisor
+ * ================
+ * Restart policies and supervision groups for WorkersModule, in the spirit of
+ * Erlang/OTP supervisors.
+ *
+ * Policies (per worker)
+ * ---------------------
+ *   restart: 'never'        -> a CRASHED instance stays CRASHED (default for ungrouped workers).
+ *            'on-failure'   -> a CRASHED instance is replaced (default inside a group).
+ *            'always'       -> also replaced after stop(), unless stopped with { restart: false }.
+ *
+ * A replacement keeps the alias, gets a new pid and is brought back to the mode
+ * it was in (foreground/background), or left INACTIVE.
+ *
+ * Supervisors
+ * -----------
+ * An ungrouped worker is its own supervisor. Groups supervise their workers
+ * (and nested groups, which makes a tree) with a strategy:
+ *   one_for_one -> only the crashed instance is replaced.
+ *   one_for_all -> every instance of the group is stopped (reverse order) and
+ *                  started again (declared order). Workers with restart 'never'
+ *                  are stopped but not started again.
+ *
+ * Each supervisor counts its restarts: at most `maxRestarts` within `window` ms,
+ * each one delayed by `backoff.initial * backoff.factor ^ (n - 1)` ms, capped at
+ * `backoff.max`. Past the limit it escalates:
+ *   'stop'      -> stop every instance it supervises; crashed ones stay CRASHED.
+ *   'parent'    -> fail as a whole in its parent group (default for nested groups).
+ *   'shutdown'  -> Loom shuts down gracefully (`dependencies.shutdown`) and exits.
+ *   function    -> called with the escalation report.
+ *
+ * A crash while stopping (STOP) is never restarted.
+ */
+
+const { WorkerStates, WorkerEvents } = require('./worker.state-machine');
+
+const RESTART_POLICIES = ['never', 'on-failure', 'always'];
+const STRATEGIES = ['one_for_one', 'one_for_all'];
+const ESCALATIONS = ['stop', 'parent', 'shutdown'];
+
+const DEFAULT_BACKOFF = Object.freeze({ initial: 1000, max: 30000, factor: 2 });
+const DEFAULT_MAX_RESTARTS = 5;
+const DEFAULT_WINDOW = 60000;
+
+class WorkerSupervisor {
+  /**
+   * @param {object} params
+   * @param {object} params.dependencies - Loom dependencies
+   * @param {Map} params.registry        - WorkersModule registry
+   * @param {object} params.commands     - { spawn, activate, stop, discard, emit } from WorkersModule
+   */
+  constructor({ dependencies, registry, commands }) {
+    /* Base Properties */
+    this._dependencies = dependencies;
+    this._console = dependencies.console;
+
+    /* Custom Properties */
+    this._registry = registry;
+    this._commands = commands;
+
+    /* Assigments */
+    this._namespace = '[Loom]::[Workers]::[Supervisor]';
+    this._workers = new Map(); // name -> worker node
+    this._groups = new Map(); // group -> group node
+    this._pending = new Map(); // restart key -> timer (kept while restarting)
+  }
+
+  /**
+   * Declares the restart policy of a worker, optionally inside a group.
+   * Ungrouped workers with restart 'never' are left unsupervised.
+   */
+  defineWorker(definition, parent = null) {
+    const { name } = definition;
+    const restart =
+      definition.restart ?? (parent ? parent.restart : RESTART_POLICIES[0]);
+
+    this.#assertOneOf(restart, RESTART_POLICIES, 'restart policy', name);
+
+    this.#detach(this._workers.get(name));
+
+    if (!parent && restart === 'never') {
+      this._workers.delete(name);
+      return null;
+    }
+
+    const node = {
+      kind: 'worker',
+      id: `worker:${name}`,
+      name,
+      restart,
+      parent,
+      ...(!parent && this.#limits(definition, name)),
+    };
+
+    this._workers.set(name, node);
+    parent?.children.push(node);
+
+    return node;
+  }
+
+  /**
+   * Declares a group. Its workers and nested groups are added with
+   * defineWorker/defineGroup, passing the returned node as parent.
+   */
+  defineGroup(definition, parent = null) {
+    const { group } = definition;
+    const strategy = definition.strategy || STRATEGIES[0];
+    const restart = definition.restart || 'on-failure';
+
+    if (!group || typeof group !== 'string') {
+      throw new Error('Worker groups must declare a `group` name');
+    }
+
+    if (this._groups.has(group)) {
+      throw new Error(`Worker group "${group}" is already defined`);
+    }
+
+    this.#assertOneOf(strategy, STRATEGIES, 'strategy', group);
+    this.#assertOneOf(restart, RESTART_POLICIES, 'restart policy', group);
+
+    const node = {
+      kind: 'group',
+      id: `group:${group}`,
+      name: group,
+      strategy,
+      restart,
+      parent,
+      children: [],
+      ...this.#limits(definition, group),
+    };
+
+    if (!node.escalate) {
+      node.escalate = parent ? 'parent' : 'stop';
+    }
+
+    this._groups.set(group, node);
+    parent?.children.push(node);
+
+    return node;
+  }
+
+  /**
+   * Transition listener of every instance state machine.
+   */
+  observe(transition, { pid, options }) {
+    if (transition.to !== WorkerStates.CRASHED) {
+      return;
+    }
+
+    // Stopping is what the caller asked for, even when it fails
+    if (transition.on === WorkerEvents.STOP) {
+      return;
+    }
+
+    this.#exited({
+      name: transition.name,
+      alias: transition.alias,
+      pid,
+      options,
+      mode: this.#crashMode(transition),
+      restarts: this._registry
+        .get(transition.name)
+        ?.instances?.get(transition.alias)?.restarts,
+      reason: 'failure',
+      error: transition.error,
+    });
+  }
+
+  /**
+   * Called by WorkersModule after an instance was stopped on request.
+   */
+  stopped({ name, alias, pid, state, options, restarts }) {
+    this.#exited({
+      name,
+      alias,
+      pid,
+      options,
+      mode: modeOf(state),
+      restarts,
+      reason: 'stop',
+    });
+  }
+
+  /**
+   * Cancels the pending restarts (used on shutdown).
+   * @returns {number} Restarts cancelled
+   */
+  cancel() {
+    const cancelled = this._pending.size;
+
+    this._pending.forEach((timer) => clearTimeout(timer));
+    this._pending.clear();
+
+    return cancelled;
+  }
+
+  /**
+   * Supervision tree with the restarts counted in the current window.
+   */
+  get tree() {
+    const describe = (node) => ({
+      ...(node.kind === 'group'
+        ? { group: node.name, strategy: node.strategy }
+        : { name: node.name, restart: node.restart }),
+      ...(node.maxRestarts !== undefined && {
+        maxRestarts: node.maxRestarts,
+        window: node.window,
+        restarts: this.#recentRestarts(node).length,
+      }),
+      ...(node.children && { children: node.children.map(describe) }),
+    });
+
+    return [...this._groups.values(), ...this._workers.values()]
+      .filter((node) => !node.parent)
+      .map(describe);
+  }
+
+  #exited(exit) {
+    const node = this._workers.get(exit.name);
+
+    if (!node || !this.#shouldRestart(node, exit.reason)) {
+      return;
+    }
+
+    const supervisor = node.parent || node;
+
+    if (this.#isPending(supervisor, exit)) {
+      return;
+    }
+
+    const targets =
+      supervisor.strategy === 'one_for_all'
+        ? this.#collect(supervisor, [exit])
+        : [exit];
+
+    this.#schedule(supervisor, targets, exit);
+  }
+
+  #schedule(supervisor, targets, exit) {
+    const key = this.#key(supervisor, exit);
+
+    if (this._pending.has(key)) {
+      return;
+    }
+
+    const history = this.#recentRestarts(supervisor);
+
+    if (history.length >= supervisor.maxRestarts) {
+      this.#escalate(supervisor, exit);
+      return;
+    }
+
+    history.push(Date.now());
+    supervisor.history = history;
+
+    const attempt = history.length;
+    const { initial, factor, max } = supervisor.backoff;
+    const delay = Math.min(max, initial * factor ** (attempt - 1));
+
+    this._console.warning(
+      `${this.#label(supervisor)}: restarting ${this.#describeTargets(targets)} in ${delay}ms (${exit.reason}, attempt ${attempt}/${supervisor.maxRestarts})`,
+      { namespace: this._namespace },
+    );
+
+    const timer = setTimeout(
+      () => this.#restart(supervisor, targets, { key, exit, attempt, delay }),
+      delay,
+    );
+
+    timer.unref?.();
+    this._pending.set(key, timer);
+  }
+
+  async #restart(supervisor, targets, { key, exit, attempt, delay }) {
+    try {
+      for (const target of [...targets].reverse()) {
+        await this.#remove(target);
+      }
+
+      for (const target of targets) {
+        const exited = target.name === exit.name && target.alias === exit.alias;
+
+        if (!exited && this._workers.get(target.name)?.restart === 'never') {
+          continue;
+        }
+
+        await this.#start(target, {
+          attempt,
+          delay,
+          reason: exited ? exit.reason : 'group',
+          group: supervisor.kind === 'group' ? supervisor.name : null,
+        });
+      }
+    } catch (error) {
+      this._pending.delete(key);
+      this._console.error(
+        `${this.#label(supervisor)}: restart failed -> ${error?.message}`,
+        { namespace: this._namespace },
+      );
+      this.#schedule(supervisor, targets, {
+        ...exit,
+        reason: 'failure',
+        error,
+      });
+      return;
+    }
+
+    this._pending.delete(key);
+  }
+
+  async #remove({ name, alias }) {
+    const instance = this._registry.get(name)?.instances?.get(alias);
+
+    if (!instance) {
+      return;
+    }
+
+    if (instance.state !== WorkerStates.CRASHED) {
+      try {
+        await this._commands.stop(name, alias, { restart: false });
+        return;
+      } catch (error) {
+        this._console.error(
+          `Failed stopping ${name}:${alias} for restart -> ${error?.message}`,
+          { namespace: this._namespace },
+        );
+      }
+    }
+
+    this._commands.discard(name, alias);
+  }
+
+  async #start(target, { attempt, delay, reason, group }) {
+    const { name, alias, mode, options } = target;
+    const previousPid = target.pid;
+    const { pid } = await this._commands.spawn(name, alias, options);
+    const instance = this._registry.get(name).instances.get(alias);
+
+    instance.restarts = (target.restarts || 0) + 1;
+
+    // A retry replaces this instance, not the first one
+    Object.assign(target, { pid, restarts: instance.restarts });
+
+    if (mode) {
+      await this._commands.activate(name, alias, { mode, reason: 'restart' });
+    }
+
+    this._console.success(
+      `Restarted ${name}:${alias} [pid=${previousPid} -> ${pid}] -> ${instance.state}`,
+      { namespace: this._namespace },
+    );
+
+    this._commands.emit('restart', {
+      name,
+      alias,
+      pid,
+      previousPid,
+      attempt,
+      delay,
+      reason,
+      group,
+    });
+  }
+
+  async #escalate(supervisor, exit) {
+    const action = supervisor.escalate || 'stop';
+    const report = {
+      supervisor: this.#label(supervisor),
+      action: typeof action === 'function' ? 'custom' : action,
+      name: exit.name,
+      alias: exit.alias,
+      pid: exit.pid,
+      reason: exit.reason,
+      error: exit.error,
+      maxRestarts: supervisor.maxRestarts,
+      window: supervisor.window,
+    };
+
+    this._console.error(
+      `${report.supervisor}: reached ${supervisor.maxRestarts} restart(s) within ${supervisor.window}ms, escalating -> ${report.action}`,
+      { namespace: this._namespace },
+    );
+    this._commands.emit('escalate', report);
+
+    try {
+      if (typeof action === 'function') {
+        await action(report);
+      } else if (action === 'parent' && supervisor.parent) {
+        supervisor.history = [];
+        this.#escalateToParent(supervisor, exit);
+      } else if (action === 'shutdown') {
+        await this._dependencies.shutdown(`${report.supervisor} escalated`);
+      } else {
+        await this.#stopAll(supervisor);
+      }
+    } catch (error) {
+      this._console.error(
+        `${report.supervisor}: escalation failed -> ${error?.message}`,
+        { namespace: this._namespace },
+      );
+    }
+  }
+
+  #escalateToParent(supervisor, exit) {
+    const { parent } = supervisor;
+
+    if (parent.strategy === 'one_for_all') {
+      this.#schedule(parent, this.#collect(parent, [exit]), exit);
+      return;
+    }
+
+    // one_for_one: the failed group restarts as one unit, keyed by the group
+    this.#schedule(parent, this.#collect(supervisor, [exit]), {
+      ...exit,
+      group: supervisor.id,
+    });
+  }
+
+  async #stopAll(supervisor) {
+    const targets = this.#collect(supervisor, []).reverse();
+
+    for (const { name, alias } of targets) {
+      const instance = this._registry.get(name)?.instances?.get(alias);
+
+      if (instance && instance.state !== WorkerStates.CRASHED) {
+        await this._commands.stop(name, alias, { restart: false });
+      }
+    }
+  }
+
+  /**
+   * Instances supervised by a node, in declared order, plus the exits that
+   * are no longer registered.
+   */
+  #collect(node, exits) {
+    const workers = [];
+    const walk = (current) => {
+      if (current.kind === 'worker') {
+        workers.push(current.name);
+      } else {
+        current.children.forEach(walk);
+      }
+    };
+
+    walk(node);
+
+    return workers.flatMap((name) => {
+      const instances = Array.from(
+        this._registry.get(name)?.instances?.entries() || [],
+      ).map(([alias, instance]) => {
+        const exit = exits.find(
+          (item) => item.name === name && item.alias === alias,
+        );
+
+        return (
+          exit || {
+            name,
+            alias,
+            pid: instance.pid,
+            options: instance.options,
+            mode: modeOf(instance.state),
+            restarts: instance.restarts,
+          }
+        );
+      });
+      const gone = exits.filter(
+        (exit) =>
+          exit.name === name &&
+          instances.every((instance) => instance.alias !== exit.alias),
+      );
+
+      return [...instances, ...gone];
+    });
+  }
+
+  #shouldRestart(node, reason) {
+    if (node.restart === 'never') {
+      return false;
+    }
+
+    return reason === 'failure' || node.restart === 'always';
+  }
+
+  // Restarting already, on its own or as part of a group
+  #isPending(supervisor, exit) {
+    if (this._pending.has(`${exit.name}:${exit.alias}`)) {
+      return true;
+    }
+
+    for (let node = supervisor; node; node = node.parent) {
+      if (this._pending.has(node.id)) {
+        return true;
+      }
+    }
+
+    return false;
+  }
+
+  #key(supervisor, exit) {
+    if (exit.group) {
+      return exit.group;
+    }
+
+    return supervisor.strategy === 'one_for_all'
+      ? supervisor.id
+      : `${exit.name}:${exit.alias}`;
+  }
+
+  #recentRestarts(supervisor) {
+    const since = Date.now() - supervisor.window;
+
+    return (supervisor.history || []).filter((at) => at > since);
+  }
+
+  // Mode the instance should come back in after a crash
+  #crashMode({ name, from, on }) {
+    if (on === WorkerEvents.ACTIVATE_FOREGROUND) return 'foreground';
+    if (on === WorkerEvents.ACTIVATE_BACKGROUND) return 'background';
+
+    if (on === WorkerEvents.CREATE) {
+      const entry = this._registry.get(name);
+
+      return entry?.autostart ? entry.autostartMode || 'background' : null;
+    }
+
+    return on === WorkerEvents.DEACTIVATE || on === WorkerEvents.SUSPEND
+      ? null
+      : modeOf(from);
+  }
+
+  #limits(definition, label) {
+    const escalate = definition.escalate;
+
+    if (escalate && typeof escalate !== 'function') {
+      this.#assertOneOf(escalate, ESCALATIONS, 'escalation', label);
+    }
+
+    return {
+      backoff: { ...DEFAULT_BACKOFF, ...definition.backoff },
+      maxRestarts: definition.maxRestarts ?? DEFAULT_MAX_RESTARTS,
+      window: definition.window ?? DEFAULT_WINDOW,
+      escalate,
+      history: [],
+    };
+  }
+
+  #detach(node) {
+    if (node?.parent) {
+      node.parent.children = node.parent.children.filter(
+        (child) => child !== node,
+      );
+    }
+  }
+
+  #assertOneOf(value, allowed, what, label) {
+    if (!allowed.includes(value)) {
+      throw new Error(
+        `Invalid ${what} "${value}" for "${label}". Use one of: ${allowed.join(', ')}`,
+      );
+    }
+  }
+
+  #label(node) {
+    return node.kind === 'group'
+      ? `Group ${node.name} (${node.strategy})`
+      : `Worker ${node.name}`;
+  }
+
+  #describeTargets(targets) {
+    return targets.map(({ name, alias }) => `${name}:${alias}`).join(', ');
+  }
+}
+
+function modeOf(state) {
+  if (state === WorkerStates.ACTIVE_FOREGROUND) return 'foreground';
+  if (state === WorkerStates.ACTIVE_BACKGROUND) return 'background';
+
+  return null;
+}
+
+module.exports = { WorkerSupervisor };
@@ -55,7 +55,7 @@
  *   - SUSPENDED          -> IO released; rehydratable footprint.
  *   - TERMINATING        -> Graceful teardown in progress.
  *   - TERMINATED         -> Instance removed from registry; indices updated.
- *   - CRASHED            -> Terminal fault during a hook/transition (no auto-restart here).
+ *   - CRASHED            -> Fault during a hook/transition (replaced only under a restart policy).
  *
  * Transitions (Command-Driven)
  * ----------------------------
@@ -68,7 +68,7 @@
  * deactivate(name, alias?)                ACTIVE_*                            INACTIVE            + onDeactivate(ctx)?
  * suspend(name, alias?)                   Any (except TERMINATED)             SUSPENDED           + onSuspend(ctx)?
  * resume(name, alias?)                    SUSPENDED                           INACTIVE            + onResume(ctx)?
- * stop(name, alias?, {force?})            Any (if exists)                     TERMINATED          + onTerminate(ctx)? (skipped if force)
+ * stop(name, alias?, {force?, restart?})  Any (if exists)                     TERMINATED          + onTerminate(ctx)? (skipped if force)
  * signal(name, alias?, sig, opts?)        Instance exists                     (no state change)  -> onSignal(sig, ctx)?
  *
  * Worker Contract (Hooks & Public API)
@@ -97,6 +97,7 @@
  *     name: string,           // worker name
  *     alias: string,          // instance alias (default: String(pid))
  *     pid: number,            // stable numeric identifier for this instance
+ *     requestId?: string,     // correlation id of the command that triggered the hook
  *     options: object,        // command payload
  *     adapters: Dependencies, // Loom adapters: bus, http, db, storage, crypto, devices, ...
  *     logger: ConsoleLike     // unified logging interface from Loom
@@ -109,10 +110,15 @@
  *   activate/background/foreground(...)   -> move to ACTIVE_* (+ onActivate)
  *   deactivate(...)                       -> ACTIVE_* -> INACTIVE (+ onDeactivate)
  *   suspend/resume(...)                   -> SUSPENDED <-> INACTIVE (+ onSuspend/onResume)
- *   stop(name, alias?, {force?})          -> remove instance; cleanup indices; (+ onTerminate if not forced)
+ *   stop(name, alias?, {force?, restart?})-> remove instance; cleanup indices; (+ onTerminate if not forced)
+ *                                            restart:false keeps a restart 'always' worker down
+ *   stopAll({force?})                     -> stop every running instance, no restarts (used by Loom graceful shutdown)
  *   signal(name, alias?, sig, opts?)      -> dispatch system signal to Worker (no state change)
- *   status(name, alias?)                  -> { name, alias, pid, state, createdAt, lastTransitionAt }
+ *   status(name, alias?)                  -> { name, alias, pid, state, createdAt, lastTransitionAt, restarts }
  *   list()                                -> [{ name, instances: [{ alias, pid, state, ... }] }]
+ *   healthCheck()                         -> { status: 'up'|'down', workers: list() } ('down' if any CRASHED)
+ *   supervision                           -> supervision tree with the restarts in the current window
+ *   watch(filter, listener)               -> subscribe to matching transitions; returns unsubscribe()
  *   api(name, alias?)                     -> return instance public API (disambiguates when multiple aliases)
  *   call(name, alias, method, ...args)    -> invoke a public API method by (name, alias)
  *   broadcast(name, method, ...args)      -> invoke the API method across all instances of `name`
@@ -140,6 +146,18 @@
  * 2) For entries with autostart=true: spawn(name), then activate(name, <alias>, { mode: autostartMode || 'background' }).
  *    If no alias was passed to spawn, <alias> defaults to the pid string produced at creation time.
  *
+ * Manifest entries are workers or supervision groups (groups nest):
+ *   [
+ *     { name: 'mailer', route: 'workers/mailer.worker', autostart: true,
+ *       restart: 'on-failure', backoff: { initial: 1000, max: 30000, factor: 2 },
+ *       maxRestarts: 5, window: 60000, escalate: 'stop' },
+ *     { group: 'ingestion', strategy: 'one_for_all', maxRestarts: 3, window: 30000,
+ *       workers: [
+ *         { name: 'reader', route: 'workers/reader.worker', autostart: true },
+ *         { name: 'parser', route: 'workers/parser.worker', autostart: true },
+ *       ] },
+ *   ]
+ *
  * Concurrency & Scaling
  * ---------------------
  * - Multiple instances per Worker are supported via aliases.
@@ -148,18 +166,45 @@
  *
  * Error & Crash Semantics
  * -----------------------
- * - If a hook throws, the instance may transition to CRASHED. This module does not auto-restart.
- * - Retry/backoff or resurrection policies should be enforced by the host/orchestrator layer.
+ * - If a hook throws, the instance transitions to CRASHED and the command rejects with the error.
+ * - Workers without a restart policy stay CRASHED (healthCheck reports 'down').
+ * - With `restart: 'on-failure'|'always'` the WorkerSupervisor replaces the instance after an
+ *   exponential backoff: same alias, new pid, same mode. Past `maxRestarts` within `window`
+ *   it escalates ('stop' | 'parent' | 'shutdown' | function). See worker.supervisor.js.
+ *
+ * Events
+ * ------
+ *   'transition'-> { name, alias, pid, from, to, event, at, durationMs, error? } (every state change)
+ *   'restart'   -> { name, alias, pid, previousPid, attempt, delay, reason, group }
+ *   'escalate'  -> { supervisor, action, name, alias, pid, reason, error, maxRestarts, window }
+ *
+ * Transitions are also forwarded to the internal bus as 'workers::transition' (when the bus is
+ * enabled) and, with `settings.workers.events.socket`, to the socket.io broker:
+ *   "settings": { "workers": { "events": { "bus": true, "socket": { "topic": "workers::transition" } } } }
  */
+const { EventEmitter } = require('node:events');
 const { WorkerStateMachine } = require('./worker.state-machine');
+const { WorkerSupervisor } = require('./worker.supervisor');
 const ThreadedWorkerProxy = require('./worker-thread/threaded-worker.proxy');
-
-class WorkersModule {
+const ContextUtil = require('../../utils/context.util');
+
+// Manifest/register keys that declare a restart policy
+const SUPERVISION_KEYS = [
+  'restart',
+  'backoff',
+  'maxRestarts',
+  'window',
+  'escalate',
+];
+
+class WorkersModule extends EventEmitter {
   /**
    * @param {object} dependencies - Loom dependencies (console, path, config, adapters, etc.)
    *                                Must include { console, path, root } at minimum.
    */
   constructor(dependencies) {
+    super();
+
     /* Base Properties */
     this._dependencies = dependencies;
     this._console = dependencies.console;
@@ -194,6 +239,21 @@ class WorkersModule {
      * name -> counter (generate worker-001, worker-002, ...)
      */
     this._aliasSeq = new Map();
+
+    /**
+     * Restart policies and supervision groups (see worker.supervisor.js)
+     */
+    this._supervisor = new WorkerSupervisor({
+      dependencies,
+      registry: this._registry,
+      commands: {
+        spawn: this.spawn.bind(this),
+        activate: this.activate.bind(this),
+        stop: this.stop.bind(this),
+        discard: (name, alias) => this.#discard(name, alias),
+        emit: this.emit.bind(this),
+      },
+    });
   }
 
   setup() {
@@ -240,7 +300,7 @@ class WorkersModule {
    * Registers a Worker class programmatically.
    * @param {string} name
    * @param {Function} WorkerClass
-   * @param {{autostart?:boolean, autostartMode?:'foreground'|'background'}} [meta]
+   * @param {{autostart?:boolean, autostartMode?:'foreground'|'background', restart?:'never'|'on-failure'|'always', backoff?:object, maxRestarts?:number, window?:number, escalate?:string|Function}} [meta]
    */
   register(name, WorkerClass, meta = {}, path = null) {
     if (!name || !WorkerClass) {
@@ -266,6 +326,10 @@ class WorkersModule {
       entry.instances = new Map();
     }
 
+    if (SUPERVISION_KEYS.some((key) => meta[key] !== undefined)) {
+      this._supervisor.defineWorker({ ...meta, name });
+    }
+
     this._registry.set(name, entry);
     this._console.info(`Registered worker: ${name}`, {
       namespace: this._namespace,
@@ -349,6 +413,11 @@ class WorkersModule {
         this.#context(phase, contextName, contextAlias, options, pid),
     });
 
+    stateMachine.on('transition', (transition) => {
+      this.#publish(transition, pid);
+      this._supervisor.observe(transition, { pid, options: opts });
+    });
+
     // Boot -> INACTIVE
     await stateMachine.create(opts);
 
@@ -356,6 +425,8 @@ class WorkersModule {
       worker,
       pid,
       stateMachine,
+      options: opts,
+      restarts: 0,
       get state() {
         return stateMachine.state;
       },
@@ -451,15 +522,18 @@ class WorkersModule {
   /**
    * Terminates an instance. If `force:true`, drops the reference even if the Worker has no onTerminate().
    * Otherwise, calls worker.onTerminate(ctx) if provided.
+   * Workers with restart 'always' come back unless `restart:false` is passed.
    */
   async stop(name, alias = 'default', opts = {}) {
-    const { force = false } = opts;
+    const { force = false, restart = true } = opts;
     const workerRegistry = this._registry.get(name);
     if (!workerRegistry) return;
 
     const instance = workerRegistry.instances.get(alias);
     if (!instance) return;
 
+    const { state } = instance;
+
     // -> TERMINATING
     await instance.stateMachine.stop({ force });
 
@@ -467,22 +541,54 @@ class WorkersModule {
     await instance.stateMachine.stop();
 
     // drop reference after TERMINATED
-    workerRegistry.instances.delete(alias);
-    this._registry.set(name, workerRegistry);
-
-    // Clean PID
-    const pid = this._instanceIndex.get(`${name}:${alias}`);
-    if (pid) {
-      this._instanceIndex.delete(`${name}:${alias}`);
-      this._processIndex.delete(pid);
-    }
-
-    this._globalAliasIndex.delete(alias);
+    const pid = this.#unregister(name, alias);
 
     this._console.success(
       `Stopped ${name}:${alias} [pid=${pid}] -> TERMINATED`,
       { namespace: this._namespace },
     );
+
+    if (restart) {
+      this._supervisor.stopped({
+        name,
+        alias,
+        pid,
+        state,
+        options: instance.options,
+        restarts: instance.restarts,
+      });
+    }
+  }
+
+  /**
+   * Stops every running instance of every registered Worker, without restarts:
+   * pending restarts are cancelled and restart policies do not apply.
+   * Failures are logged and counted; they never interrupt the remaining stops.
+   * @param {{force?: boolean}} [opts]
+   * @returns {Promise<{stopped:number, failed:number}>}
+   */
+  async stopAll(opts = {}) {
+    let stopped = 0;
+    let failed = 0;
+
+    this._supervisor.cancel();
+
+    for (const [name, workerRegistryEntry] of this._registry.entries()) {
+      for (const alias of Array.from(workerRegistryEntry.instances.keys())) {
+        try {
+          await this.stop(name, alias, { ...opts, restart: false });
+          stopped += 1;
+        } catch (err) {
+          failed += 1;
+          this._console.error(
+            `Failed stopping ${name}:${alias} -> ${err?.message}`,
+            { namespace: this._namespace },
+          );
+        }
+      }
+    }
+
+    return { stopped, failed };
   }
 
   /**
@@ -524,6 +630,7 @@ class WorkersModule {
       state: instance.state,
       createdAt: instance.createdAt,
       lastTransitionAt: instance.lastTransitionAt,
+      restarts: instance.restarts,
     };
   }
 
@@ -542,6 +649,7 @@ class WorkersModule {
           state: inst.state,
           createdAt: inst.createdAt,
           lastTransitionAt: inst.lastTransitionAt,
+          restarts: inst.restarts,
         });
       }
       output.push({ name, instances });
@@ -550,6 +658,49 @@ class WorkersModule {
     return output;
   }
 
+  /**
+   * Readiness report: every instance with its state. Any CRASHED instance flips it to 'down'.
+   */
+  healthCheck() {
+    const workers = this.list();
+    const hasCrashed = workers.some((worker) =>
+      worker.instances.some((instance) => instance.state === 'CRASHED'),
+    );
+
+    return { status: hasCrashed ? 'down' : 'up', workers };
+  }
+
+  /**
+   * Subscribes to the transitions that match every key of the filter. A key may
+   * hold one value or a list, e.g. { name: 'mailer', to: ['CRASHED', 'TERMINATED'] }.
+   * @param {{name?:string|string[], alias?:string|string[], pid?:number|number[], from?:string|string[], to?:string|string[], event?:string|string[]}} filter
+   * @param {function(object):void} listener
+   * @returns {function():void} Unsubscribes the listener
+   */
+  watch(filter = {}, listener = () => {}) {
+    const handler = (transition) => {
+      const matches = Object.entries(filter).every(([key, expected]) =>
+        [].concat(expected).includes(transition[key]),
+      );
+
+      if (matches) {
+        listener(transition);
+      }
+    };
+
+    this.on('transition', handler);
+
+    return () => this.off('transition', handler);
+  }
+
+  /**
+   * Supervision tree: supervised workers and groups, with the restarts counted
+   * in their current window.
+   */
+  get supervision() {
+    return this._supervisor.tree;
+  }
+
   /**
    * Returns the public API object defined by the Worker (by alias).
    * If there are multiple instances and you don't pass aliases -> throws an error (disambiguation).
@@ -683,6 +834,7 @@ class WorkersModule {
       state: instance.state,
       createdAt: instance.createdAt,
       lastTransitionAt: instance.lastTransitionAt,
+      restarts: instance.restarts,
     };
   }
 
@@ -709,6 +861,94 @@ class WorkersModule {
     return instance;
   }
 
+  /**
+   * Emits a state machine transition as 'transition' and forwards it to the
+   * internal bus and, when enabled, to the socket.io broker.
+   * Listener failures are logged: they must not crash the instance.
+   */
+  #publish({ name, alias, from, on, to, at, durationMs, error }, pid) {
+    const transition = {
+      name,
+      alias,
+      pid,
+      from: from ?? null,
+      to,
+      event: on,
+      at,
+      durationMs,
+      error,
+    };
+    const settings = this._dependencies.config?.settings?.workers?.events || {};
+    const socket = settings.socket === true ? {} : settings.socket;
+    const forwards = [
+      () => this.emit('transition', transition),
+      settings.bus !== false &&
+        (() =>
+          this._dependencies.eventBus?.bus?.emit?.(
+            'workers::transition',
+            transition,
+          )),
+      socket &&
+        (() =>
+          this._dependencies.webSocketServer?.emit?.(
+            socket.topic || 'workers::transition',
+            {
+              ...transition,
+              error: error && { name: error.name, message: error.message },
+            },
+          )),
+    ];
+
+    for (const forward of forwards.filter(Boolean)) {
+      try {
+        forward();
+      } catch (err) {
+        this._console.error(
+          `Transition listener failed for ${name}:${alias} -> ${err?.message}`,
+          { namespace: this._namespace },
+        );
+      }
+    }
+  }
+
+  /**
+   * Drops an instance from the registry and the indices. Returns its pid.
+   */
+  #unregister(name, alias) {
+    const workerRegistry = this._registry.get(name);
+    workerRegistry.instances.delete(alias);
+    this._registry.set(name, workerRegistry);
+
+    // Clean PID
+    const pid = this._instanceIndex.get(`${name}:${alias}`);
+    if (pid) {
+      this._instanceIndex.delete(`${name}:${alias}`);
+      this._processIndex.delete(pid);
+    }
+
+    this._globalAliasIndex.delete(alias);
+
+    return pid;
+  }
+
+  /**
+   * Drops a CRASHED instance (no hooks run) so it can be replaced.
+   */
+  #discard(name, alias) {
+    const instance = this._registry.get(name)?.instances?.get(alias);
+    if (!instance) return;
+
+    if (instance.stateMachine.app instanceof ThreadedWorkerProxy) {
+      instance.stateMachine.app.terminate();
+    }
+
+    const pid = this.#unregister(name, alias);
+
+    this._console.info(`Discarded ${name}:${alias} [pid=${pid}]`, {
+      namespace: this._namespace,
+    });
+  }
+
   #loadManifest() {
     try {
       const manifestPath = this._path.join(
@@ -723,25 +963,7 @@ class WorkersModule {
         : workerDefinitions?.cache || [];
 
       for (const workerDefinition of workerList) {
-        if (!workerDefinition?.name) {
-          continue;
-        }
-        const entry = this._registry.get(workerDefinition.name) || {
-          name: workerDefinition.name,
-          instances: new Map(),
-        };
-
-        entry.route = workerDefinition.route || entry.route;
-        entry.autostart = !!workerDefinition.autostart;
-
-        if (
-          workerDefinition.autostartMode === 'foreground' ||
-          workerDefinition.autostartMode === 'background'
-        ) {
-          entry.autostartMode = workerDefinition.autostartMode;
-        }
-
-        this._registry.set(workerDefinition.name, entry);
+        this.#loadManifestEntry(workerDefinition);
       }
 
       this._console.info('Workers manifest loaded', {
@@ -754,6 +976,56 @@ class WorkersModule {
     }
   }
 
+  /**
+   * Registers a manifest worker, or a group `{ group, strategy, workers: [...] }`
+   * with its workers and nested groups.
+   */
+  #loadManifestEntry(workerDefinition, group = null) {
+    if (Array.isArray(workerDefinition?.workers)) {
+      const node = this.#supervise(() =>
+        this._supervisor.defineGroup(workerDefinition, group),
+      );
+
+      for (const child of workerDefinition.workers) {
+        this.#loadManifestEntry(child, node);
+      }
+      return;
+    }
+
+    if (!workerDefinition?.name) {
+      return;
+    }
+    const entry = this._registry.get(workerDefinition.name) || {
+      name: workerDefinition.name,
+      instances: new Map(),
+    };
+
+    entry.route = workerDefinition.route || entry.route;
+    entry.autostart = !!workerDefinition.autostart;
+
+    if (
+      workerDefinition.autostartMode === 'foreground' ||
+      workerDefinition.autostartMode === 'background'
+    ) {
+      entry.autostartMode = workerDefinition.autostartMode;
+    }
+
+    this._registry.set(workerDefinition.name, entry);
+    this.#supervise(() =>
+      this._supervisor.defineWorker(workerDefinition, group),
+    );
+  }
+
+  // An invalid policy leaves the worker unsupervised, not unloaded
+  #supervise(define) {
+    try {
+      return define();
+    } catch (err) {
+      this._console.error(err?.message, { namespace: this._namespace });
+      return null;
+    }
+  }
+
   #loadClassesFromRoutes() {
     for (const [name, workerRegistryEntry] of this._registry.entries()) {
       try {
@@ -818,6 +1090,7 @@ class WorkersModule {
       name,
       alias,
       pid, // <- PID available on all hooks
+      requestId: ContextUtil.requestId, // correlation id of the caller, if any
       options: opts || {},
       adapters: this._dependencies, // access to IO providers, crypto, db, bus, http, etc.
       logger: this._dependencies.console, // consistent logging
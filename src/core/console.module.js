@@ -1,3 +1,18 @@
+const { StdoutTransport } = require('./console/stdout.transport');
+const { FileTransport } = require('./console/file.transport');
+const { RotatingFileTransport } = require('./console/rotating-file.transport');
+const { ObservabilityTransport } = require('./console/observability.transport');
+const ContextUtil = require('../utils/context.util');
+const WildcardUtil = require('../utils/wildcard.util');
+
+const LEVELS = Object.freeze({
+  debug: 10,
+  info: 20,
+  warn: 30,
+  error: 40,
+  off: 100,
+});
+
 class ConsoleModule {
   constructor(dependencies) {
     /* Base Properties */
@@ -5,72 +20,281 @@ class ConsoleModule {
 
     /* Custom Properties */
     this._colors = dependencies.colors;
+    this._settings = dependencies.config?.settings?.console || {};
 
     /* Assigments */
     this._namespace = '[Loom]::[Core]::[Console]';
+    this._format = this._settings.format === 'json' ? 'json' : 'pretty';
+    this._levels = {
+      code: 'debug',
+      log: 'info',
+      info: 'info',
+      success: 'info',
+      warning: 'warn',
+      error: 'error',
+    };
+    this._threshold = LEVELS[this._settings.level] ?? LEVELS.debug;
+    this._namespaceLevels = this.#compileNamespaceLevels(
+      this._settings.namespaces,
+    );
+    this._transportTypes = {
+      stdout: StdoutTransport,
+      file: FileTransport,
+      'rotating-file': RotatingFileTransport,
+      observability: ObservabilityTransport,
+    };
+    this._transports = [];
   }
 
   setup() {
+    this.#loadTransports();
+
     this.success('Loading module', { namespace: this._namespace });
 
     this.success('Module loaded', { namespace: this._namespace });
   }
 
   code(body, args = {}) {
-    const { title, namespace } = args;
+    this.#write('code', body, args);
+  }
 
-    if (typeof body === 'string') {
-      console.log('>' + (body.isJson() === true ? JSON.stringify(body) : body));
-      return;
+  log(body, args = {}) {
+    this.#write('log', body, args);
+  }
+
+  error(body, args = {}) {
+    this.#write('error', body, args);
+  }
+
+  info(body, args = {}) {
+    this.#write('info', body, args);
+  }
+
+  warning(body, args = {}) {
+    this.#write('warning', body, args);
+  }
+
+  success(body, args = {}) {
+    this.#write('success', body, args);
+  }
+
+  /**
+   * Adds a transport. A transport is any object with `write(record)` and,
+   * optionally, `name`, `level` (minimum level for this transport) and `close()`.
+   *
+   * The record contains the raw call (`method`, `body`, `namespace`, `title`,
+   * `error`, `metadata`) plus `level`, `timestamp`, the active `requestId`
+   * and a JSON-safe `entry`.
+   */
+  addTransport(transport) {
+    if (typeof transport?.write !== 'function') {
+      throw new Error('A console transport must implement write(record)');
     }
 
-    console.log((title || namespace || '') + ' > ', body);
+    this._transports.push(transport);
+
+    return transport;
   }
 
-  log(body, args = {}) {
-    const { title, namespace } = args;
+  removeTransport(name) {
+    const transport = this._transports.find((item) => item.name === name);
 
-    if (typeof body === 'string') {
-      console.log(body.isJson() === true ? JSON.stringify(body) : body);
-      return;
+    if (!transport) {
+      return false;
+    }
+
+    transport.close?.();
+    this._transports = this._transports.filter((item) => item !== transport);
+
+    return true;
+  }
+
+  get transports() {
+    return [...this._transports];
+  }
+
+  #loadTransports() {
+    const definitions = this._settings.transports || [{ type: 'stdout' }];
+
+    definitions.forEach((definition) => {
+      try {
+        this.addTransport(this.#createTransport(definition));
+      } catch (error) {
+        console.error(
+          ` ${this._colors.red(`${this._namespace}::[ERROR]`)}: Transport ${JSON.stringify(definition)} failed`,
+          error,
+        );
+      }
+    });
+  }
+
+  #createTransport(definition = {}) {
+    const settings = { format: this._format, ...definition };
+
+    // Custom transport injected through `customDependencies`
+    if (definition.dependency) {
+      const CustomTransport = this._dependencies[definition.dependency];
+
+      return typeof CustomTransport === 'function'
+        ? new CustomTransport({ dependencies: this._dependencies, settings })
+        : CustomTransport;
     }
 
-    if (title) {
-      console.log(title || namespace || '', body);
-    } else {
-      console.log(body);
+    const Transport = this._transportTypes[definition.type];
+
+    if (!Transport) {
+      throw new Error(`Unknown console transport type: ${definition.type}`);
     }
+
+    return new Transport({ dependencies: this._dependencies, settings });
   }
 
-  error(body, args = {}) {
-    const { title, namespace } = args;
+  /**
+   * Compiles `settings.console.namespaces` into matchers, most specific first.
+   *
+   *   { "[Loom]::[Event System]::*": "off", "[Loom]::[Workers]*": "debug" }
+   */
+  #compileNamespaceLevels(namespaces = {}) {
+    return Object.entries(namespaces)
+      .map(([pattern, level]) => ({
+        pattern,
+        threshold: LEVELS[level] ?? LEVELS.debug,
+        matcher: WildcardUtil.compile(pattern),
+      }))
+      .sort((a, b) => b.pattern.length - a.pattern.length);
+  }
 
-    console.log(
-      ` ${this._colors.red(`${title || namespace || ''}::[ERROR]`)}:`,
-      body,
+  #isEnabled(level, namespace) {
+    const override = this._namespaceLevels.find(({ matcher }) =>
+      matcher.test(namespace),
     );
-  }
+    const threshold = override ? override.threshold : this._threshold;
 
-  info(body, args = {}) {
-    const { title, namespace } = args;
+    return LEVELS[level] >= threshold;
+  }
 
-    console.log(` ${this._colors.cyan(title || namespace || '')}:`, body);
+  #write(method, body, args = {}) {
+    const { title, namespace, error, ...metadata } = args || {};
+    const level = this._levels[method];
 
-    if (args.error) {
-      console.error(error);
+    if (!this.#isEnabled(level, title || namespace || '')) {
+      return;
     }
+
+    const record = this.#buildRecord({
+      method,
+      level,
+      body,
+      title,
+      namespace,
+      error: error || (body instanceof Error ? body : undefined),
+      requestId: ContextUtil.requestId,
+      metadata,
+    });
+
+    this._transports.forEach((transport) => {
+      if (transport.level && LEVELS[level] < LEVELS[transport.level]) {
+        return;
+      }
+
+      try {
+        transport.write(record);
+      } catch (transportError) {
+        console.error(transportError);
+      }
+    });
   }
 
-  warning(body, args = {}) {
-    const { title, namespace } = args;
+  #buildRecord(record) {
+    const serialize = this.#serialize.bind(this);
+    let entry = null;
+
+    record.timestamp = new Date().toISOString();
 
-    console.log(` ${this._colors.yellow(title || namespace || '')}:`, body);
+    // Serialized lazily: only JSON transports pay for it
+    Object.defineProperty(record, 'entry', {
+      get() {
+        if (!entry) {
+          entry = {
+            timestamp: record.timestamp,
+            level: record.level,
+            namespace: record.title || record.namespace || '',
+            message:
+              typeof record.body === 'string'
+                ? record.body
+                : record.body?.message || '',
+          };
+
+          if (record.requestId) {
+            entry.requestId = record.requestId;
+          }
+
+          if (
+            record.body !== null &&
+            typeof record.body === 'object' &&
+            !(record.body instanceof Error)
+          ) {
+            entry.data = serialize(record.body);
+          }
+
+          if (record.error) {
+            entry.error = serialize(record.error);
+          }
+
+          Object.entries(serialize(record.metadata)).forEach(([key, value]) => {
+            if (!(key in entry)) {
+              entry[key] = value;
+            }
+          });
+        }
+
+        return entry;
+      },
+    });
+
+    return record;
   }
 
-  success(body, args = {}) {
-    const { title, namespace } = args;
+  /**
+   * Converts any value into a JSON-safe structure: errors keep their stack,
+   * circular references and deep trees (e.g. the dependencies bag) are cut.
+   */
+  #serialize(value, depth = 0, seen = new WeakSet()) {
+    if (value instanceof Error) {
+      return {
+        name: value.name,
+        message: value.message,
+        stack: value.stack,
+        ...(value.code ? { code: value.code } : {}),
+      };
+    }
+
+    if (value === null || typeof value !== 'object') {
+      return typeof value === 'function' ? undefined : value;
+    }
+
+    if (seen.has(value)) {
+      return '[Circular]';
+    }
+
+    if (depth >= 4) {
+      return '[Object]';
+    }
+
+    seen.add(value);
+
+    const output = Array.isArray(value)
+      ? value.map((item) => this.#serialize(item, depth + 1, seen))
+      : Object.fromEntries(
+          Object.entries(value).map(([key, item]) => [
+            key,
+            this.#serialize(item, depth + 1, seen),
+          ]),
+        );
+
+    seen.delete(value);
 
-    console.log(` ${this._colors.green(title || namespace || '')}:`, body);
+    return output;
   }
 }
 
@@ -0,0 +1,46 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Appends log records as JSON lines to a file.
+ *
+ * Writes are synchronous on purpose: nothing is lost when the process exits
+ * right after logging (e.g. at the end of the graceful shutdown).
+ */
+class FileTransport {
+  constructor({ dependencies, settings = {} }) {
+    /* Base Properties */
+    this._dependencies = dependencies;
+
+    /* Assigments */
+    this.name = settings.name || 'file';
+    this.level = settings.level;
+    this._path = path.resolve(
+      dependencies.root || process.cwd(),
+      settings.path || 'logs/loom.log',
+    );
+    this._fileDescriptor = null;
+
+    this.open();
+  }
+
+  open() {
+    fs.mkdirSync(path.dirname(this._path), { recursive: true });
+    this._fileDescriptor = fs.openSync(this._path, 'a');
+  }
+
+  write(record) {
+    fs.writeSync(this._fileDescriptor, `${JSON.stringify(record.entry)}\n`);
+  }
+
+  close() {
+    if (this._fileDescriptor === null) {
+      return;
+    }
+
+    fs.closeSync(this._fileDescriptor);
+    this._fileDescriptor = null;
+  }
+}
+
+module.exports = { FileTransport };
@@ -0,0 +1,37 @@
+/**
+ * Forwards log records to the observability adapter through its optional
+ * `log(entry)` method. Defaults to `warn` and above.
+ *
+ * The observability module boots after the console, so the adapter is
+ * resolved on every write instead of at construction time.
+ */
+class ObservabilityTransport {
+  constructor({ dependencies, settings = {} }) {
+    /* Base Properties */
+    this._dependencies = dependencies;
+
+    /* Assigments */
+    this.name = settings.name || 'observability';
+    this.level = settings.level || 'warn';
+    this._isWriting = false;
+  }
+
+  write(record) {
+    const adapter = this._dependencies.observability?.default?.adapter;
+
+    // The adapter may log through the console itself, do not loop back
+    if (typeof adapter?.log !== 'function' || this._isWriting) {
+      return;
+    }
+
+    this._isWriting = true;
+
+    try {
+      adapter.log(record.entry);
+    } finally {
+      this._isWriting = false;
+    }
+  }
+}
+
+module.exports = { ObservabilityTransport };
@@ -0,0 +1,49 @@
+const fs = require('fs');
+const { FileTransport } = require('./file.transport');
+
+/**
+ * File transport that rotates by size:
+ *   loom.log -> loom.log.1 -> loom.log.2 ... up to `maxFiles` (oldest is dropped).
+ */
+class RotatingFileTransport extends FileTransport {
+  constructor({ dependencies, settings = {} }) {
+    super({ dependencies, settings: { name: 'rotating-file', ...settings } });
+
+    /* Assigments */
+    this._maxSize = +settings.maxSize || 10 * 1024 * 1024;
+    this._maxFiles = +settings.maxFiles || 5;
+    this._size = fs.fstatSync(this._fileDescriptor).size;
+  }
+
+  write(record) {
+    const line = `${JSON.stringify(record.entry)}\n`;
+    const bytes = Buffer.byteLength(line);
+
+    if (this._size > 0 && this._size + bytes > this._maxSize) {
+      this.#rotate();
+    }
+
+    fs.writeSync(this._fileDescriptor, line);
+    this._size += bytes;
+  }
+
+  #rotate() {
+    this.close();
+
+    for (let index = this._maxFiles - 1; index >= 1; index -= 1) {
+      const source = `${this._path}.${index}`;
+
+      if (fs.existsSync(source)) {
+        fs.renameSync(source, `${this._path}.${index + 1}`);
+      }
+    }
+
+    fs.renameSync(this._path, `${this._path}.1`);
+    fs.rmSync(`${this._path}.${this._maxFiles + 1}`, { force: true });
+
+    this.open();
+    this._size = 0;
+  }
+}
+
+module.exports = { RotatingFileTransport };
@@ -0,0 +1,83 @@
+/**
+ * Writes log records to the process stdout.
+ *
+ * - `pretty` (default): colourised text, meant for local work.
+ * - `json`: one JSON line per record, meant for log shippers.
+ */
+class StdoutTransport {
+  constructor({ dependencies, settings = {} }) {
+    /* Base Properties */
+    this._dependencies = dependencies;
+
+    /* Custom Properties */
+    this._colors = dependencies.colors;
+
+    /* Assigments */
+    this.name = settings.name || 'stdout';
+    this.level = settings.level;
+    this._format = settings.format === 'json' ? 'json' : 'pretty';
+  }
+
+  write(record) {
+    if (this._format === 'json') {
+      process.stdout.write(`${JSON.stringify(record.entry)}\n`);
+      return;
+    }
+
+    this.#writePretty(record);
+
+    // Errors attached through `args.error` are printed with their stack
+    if (record.error && record.error !== record.body) {
+      console.error(record.error);
+    }
+  }
+
+  #writePretty({ method, body, namespace, title, requestId }) {
+    // Lines written while serving a request carry its correlation id
+    const label = requestId
+      ? `${title || namespace || ''}::[${requestId}]`
+      : title || namespace || '';
+    const prefix = requestId ? [`[${requestId}]`] : [];
+
+    switch (method) {
+      case 'code':
+        if (typeof body === 'string') {
+          console.log(
+            '>' + (body.isJson?.() === true ? JSON.stringify(body) : body),
+          );
+          return;
+        }
+
+        console.log(label + ' > ', body);
+        return;
+      case 'log':
+        if (typeof body === 'string') {
+          console.log(
+            ...prefix,
+            body.isJson?.() === true ? JSON.stringify(body) : body,
+          );
+          return;
+        }
+
+        if (title) {
+          console.log(label, body);
+        } else {
+          console.log(...prefix, body);
+        }
+        return;
+      case 'error':
+        console.log(` ${this._colors.red(`${label}::[ERROR]`)}:`, body);
+        return;
+      case 'warning':
+        console.log(` ${this._colors.yellow(label)}:`, body);
+        return;
+      case 'success':
+        console.log(` ${this._colors.green(label)}:`, body);
+        return;
+      default:
+        console.log(` ${this._colors.cyan(label)}:`, body);
+    }
+  }
+}
+
+module.exports = { StdoutTransport };
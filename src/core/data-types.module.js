@@ -1,3 +1,11 @@
+const ModelBase = require('../utils/models/base.model');
+const {
+  SimpleProperty,
+  ComplexProperty,
+} = require('../utils/models/property.model');
+
+const JSON_SCHEMA_DIALECT = 'https://json-schema.org/draft/2020-12/schema';
+
 class DataTypesModule {
   constructor(dependencies) {
     /* Base Properties */
@@ -28,7 +36,207 @@ class DataTypesModule {
   }
 
   getType(name) {
-    return this._dynamicTypes[name] || this._dataTypes[name];
+    // Own keys only, `constructor` or `toString` are not types
+    const lookup = (types) =>
+      Object.prototype.hasOwnProperty.call(types, name)
+        ? types[name]
+        : undefined;
+
+    return lookup(this._dynamicTypes) || lookup(this._dataTypes);
+  }
+
+  /**
+   * JSON Schema (draft 2020-12) of a type or model. Models become objects
+   * whose model-typed properties are `$ref`s to the other models, included in
+   * `$defs`. Without `name`, every type is returned in `$defs`.
+   *
+   * @param {string} [name] - Type or model name
+   * @returns {Object|null} null when the type does not exist
+   */
+  toJSONSchema(name) {
+    const defs = {};
+
+    if (name && !this.getType(name)) {
+      return null;
+    }
+
+    const context = {
+      root: name,
+      ref: (model) => (model === name ? '#' : `#/$defs/${model}`),
+      include: (model) => this.#include(model, defs, context),
+      convert: (schema) => this.#toJSONSchemaDialect(schema),
+    };
+
+    if (!name) {
+      Object.keys(this.types).forEach((type) => context.include(type));
+
+      return { $schema: JSON_SCHEMA_DIALECT, $defs: defs };
+    }
+
+    const schema = this.#buildSchema(name, context);
+
+    return {
+      $schema: JSON_SCHEMA_DIALECT,
+      title: name,
+      ...schema,
+      ...(Object.keys(defs).length && { $defs: defs }),
+    };
+  }
+
+  /**
+   * Schemas of the registered models for the `components.schemas` of an
+   * OpenAPI 3.0 document, with `$ref`s to `#/components/schemas/<model>`.
+   */
+  toOpenAPISchemas() {
+    const schemas = {};
+    const context = {
+      ref: (model) => `#/components/schemas/${model}`,
+      include: (model) => this.#include(model, schemas, context),
+      convert: (schema) => this.#toOpenAPIDialect(schema),
+    };
+
+    Object.keys(this._dynamicTypes)
+      .filter((name) => this._dynamicTypes[name].default instanceof ModelBase)
+      .forEach((name) => context.include(name));
+
+    return schemas;
+  }
+
+  #include(name, defs, context) {
+    if (name === context.root || defs[name]) {
+      return;
+    }
+
+    // Placeholder first, models may reference each other
+    defs[name] = {};
+    defs[name] = { title: name, ...this.#buildSchema(name, context) };
+  }
+
+  #buildSchema(name, context) {
+    const type = this.getType(name);
+
+    if (type?.default instanceof ModelBase) {
+      return this.#buildModelSchema(type.default, context);
+    }
+
+    return context.convert(type?.schema || {});
+  }
+
+  #buildModelSchema(instance, context) {
+    const properties = {};
+    const required = [];
+
+    Object.entries(instance)
+      .filter(
+        ([, property]) =>
+          property instanceof SimpleProperty ||
+          property instanceof ComplexProperty,
+      )
+      .forEach(([key, property]) => {
+        const typeName = property._type?.name;
+        let schema = {};
+
+        if (property._type?.schema) {
+          schema = context.convert(property._type.schema);
+        } else if (this.getType(typeName)?.default instanceof ModelBase) {
+          context.include(typeName);
+          schema = { $ref: context.ref(typeName) };
+        }
+
+        if (property.enum) {
+          schema = this.#withEnum(schema, property.enum);
+        }
+
+        if (property.hidden) {
+          schema = { ...schema, writeOnly: true };
+        }
+
+        if (property.required) {
+          required.push(key);
+        }
+
+        properties[key] = schema;
+      });
+
+    return {
+      type: 'object',
+      properties,
+      ...(required.length && { required }),
+    };
+  }
+
+  // Objects in the enum (statuses) are told apart by name
+  #withEnum(schema, values) {
+    const isObject = values.some((value) => value && typeof value === 'object');
+
+    if (!isObject) {
+      return { ...schema, enum: values };
+    }
+
+    return {
+      ...schema,
+      properties: {
+        ...schema.properties,
+        name: { type: 'string', enum: values.map((value) => value?.name) },
+      },
+      required: ['name'],
+    };
+  }
+
+  // `nullable: true` is `type: [..., 'null']` in JSON Schema
+  #toJSONSchemaDialect(schema) {
+    const { nullable, ...rest } = this.#mapNested(schema, (nested) =>
+      this.#toJSONSchemaDialect(nested),
+    );
+
+    if (!nullable || !rest.type) {
+      return rest;
+    }
+
+    return { ...rest, type: [...new Set([].concat(rest.type, 'null'))] };
+  }
+
+  // OpenAPI 3.0 has no type lists: `null` is `nullable`, the rest `anyOf`
+  #toOpenAPIDialect(schema) {
+    const { type, ...rest } = this.#mapNested(schema, (nested) =>
+      this.#toOpenAPIDialect(nested),
+    );
+
+    if (!Array.isArray(type)) {
+      return type ? { type, ...rest } : rest;
+    }
+
+    const types = type.filter((item) => item !== 'null');
+    const nullable = types.length < type.length && { nullable: true };
+
+    if (types.length === 1) {
+      return { type: types[0], ...rest, ...nullable };
+    }
+
+    return {
+      anyOf: types.map((item) => ({ type: item })),
+      ...rest,
+      ...nullable,
+    };
+  }
+
+  #mapNested(schema, convert) {
+    const result = { ...schema };
+
+    if (schema.properties) {
+      result.properties = Object.fromEntries(
+        Object.entries(schema.properties).map(([key, value]) => [
+          key,
+          convert(value),
+        ]),
+      );
+    }
+
+    if (schema.items) {
+      result.items = convert(schema.items);
+    }
+
+    return result;
   }
 
   get types() {
@@ -1,5 +1,9 @@
 const { createRequire } = require('module');
 const path = require('path');
+const ContextUtil = require('../utils/context.util');
+const { DependencyError } = require('../utils/errors/dependency.error');
+
+const LIFETIMES = ['singleton', 'scoped', 'transient'];
 
 class DependenciesModule {
   constructor(args) {
@@ -11,6 +15,10 @@ class DependenciesModule {
 
     /* Assigments */
     this._namespace = '[Loom]::[Core]::[Dependencies]';
+    this._registrations = new Map();
+    this._scopes = new WeakMap();
+    // Registrations being resolved, innermost last: { name, lifetime, scope }
+    this._resolving = [];
   }
 
   async setup() {
@@ -251,17 +259,216 @@ class DependenciesModule {
   }
 
   addCustomDependency(dependency, name) {
-    this._dependencies[name] = dependency;
+    // A plain value replaces any registration with the same name
+    this._registrations.delete(name);
+
+    Object.defineProperty(this._dependencies, name, {
+      value: dependency,
+      writable: true,
+      enumerable: true,
+      configurable: true,
+    });
+  }
+
+  /**
+   * Registers a dependency built on first use by `factory(dependencies)`.
+   *
+   * Lifetimes:
+   *   - singleton: built once, shared by everyone (default)
+   *   - scoped:    built once per scope, e.g. once per HTTP request
+   *   - transient: built on every resolution
+   *
+   * The dependencies object keeps working as before: reading `dependencies[name]`
+   * resolves the registration. Scoped and transient registrations are not
+   * enumerable, so spreading the dependencies does not build them.
+   *
+   * @param {string} name
+   * @param {Function} factory - `(dependencies) => instance`
+   * @param {Object} [options]
+   * @param {string} [options.lifetime='singleton']
+   */
+  register(name, factory, { lifetime = 'singleton' } = {}) {
+    if (typeof factory !== 'function') {
+      throw new TypeError(`Factory of dependency "${name}" must be a function`);
+    }
+
+    if (!LIFETIMES.includes(lifetime)) {
+      throw new TypeError(
+        `Unknown lifetime "${lifetime}" for dependency "${name}", expected ${LIFETIMES.join(', ')}`,
+      );
+    }
+
+    this._registrations.set(name, {
+      factory,
+      lifetime,
+      instance: undefined,
+      isBuilt: false,
+    });
+
+    Object.defineProperty(this._dependencies, name, {
+      get: () => this.resolve(name),
+      set: (value) => this.addCustomDependency(value, name),
+      enumerable: lifetime === 'singleton',
+      configurable: true,
+    });
+  }
+
+  /**
+   * Returns the dependency `name`, building it when needed.
+   *
+   * Scoped registrations use `options.scope`, the scope of the registration
+   * being resolved, or the scope of the active request context. A singleton
+   * cannot depend on them, it would keep the instance of the first scope.
+   *
+   * @throws {DependencyError} When it is missing, circular or out of scope.
+   */
+  resolve(name, { scope } = {}) {
+    const current = this._resolving[this._resolving.length - 1];
+    const requester = current?.name;
+    const path = [...this._resolving.map((frame) => frame.name), name];
+    const requestedBy = requester ? ` (required by "${requester}")` : '';
+    const registration = this._registrations.get(name);
+
+    if (!registration) {
+      if (Object.prototype.hasOwnProperty.call(this._dependencies, name)) {
+        return this._dependencies[name];
+      }
+
+      throw new DependencyError(
+        `Dependency "${name}" is not registered${requestedBy}`,
+        { dependency: name, requester, path },
+      );
+    }
+
+    if (this._resolving.some((frame) => frame.name === name)) {
+      throw new DependencyError(`Circular dependency: ${path.join(' -> ')}`, {
+        dependency: name,
+        requester,
+        path,
+      });
+    }
+
+    if (registration.lifetime === 'singleton') {
+      if (!registration.isBuilt) {
+        registration.instance = this.#build(name, registration, { path });
+        registration.isBuilt = true;
+      }
+
+      return registration.instance;
+    }
+
+    if (registration.lifetime === 'transient') {
+      return this.#build(name, registration, {
+        path,
+        scope: scope || current?.scope,
+      });
+    }
+
+    const singleton = this._resolving.find(
+      (frame) => frame.lifetime === 'singleton',
+    );
+
+    if (singleton) {
+      throw new DependencyError(
+        `Scoped dependency "${name}" cannot be resolved by singleton "${singleton.name}"`,
+        { dependency: name, requester, path },
+      );
+    }
+
+    const activeScope = scope || current?.scope || ContextUtil.get()?.scope;
+    const instances = this._scopes.get(activeScope);
+
+    if (!instances) {
+      throw new DependencyError(
+        `Scoped dependency "${name}" was resolved outside of a scope${requestedBy}`,
+        { dependency: name, requester, path },
+      );
+    }
+
+    if (!instances.has(name)) {
+      instances.set(
+        name,
+        this.#build(name, registration, { path, scope: activeScope }),
+      );
+    }
+
+    return instances.get(name);
+  }
+
+  #build(name, registration, { path, scope }) {
+    this._resolving.push({ name, lifetime: registration.lifetime, scope });
+
+    try {
+      return registration.factory(this._dependencies);
+    } catch (error) {
+      if (error instanceof DependencyError) {
+        throw error;
+      }
+
+      throw new DependencyError(
+        `Failed to build dependency "${name}": ${error.message}`,
+        {
+          dependency: name,
+          requester: path[path.length - 2],
+          path,
+          cause: error,
+        },
+      );
+    } finally {
+      this._resolving.pop();
+    }
+  }
+
+  /**
+   * Creates a scope for `scoped` registrations. The ApiModule opens one per
+   * HTTP request and disposes it when the response is closed.
+   *
+   * @returns {{ resolve: Function, dispose: Function }}
+   */
+  createScope() {
+    const instances = new Map();
+    const scope = {
+      resolve: (name) => this.resolve(name, { scope }),
+      // Instances built in the scope may implement `dispose()`
+      dispose: async () => {
+        const built = [...instances.values()];
+
+        instances.clear();
+
+        await Promise.allSettled(
+          built.map((instance) => instance?.dispose?.()),
+        );
+      },
+    };
+
+    this._scopes.set(scope, instances);
+
+    return scope;
+  }
+
+  has(name) {
+    return (
+      this._registrations.has(name) ||
+      Object.prototype.hasOwnProperty.call(this._dependencies, name)
+    );
   }
 
   get get() {
     return this.getDependencies;
   }
 
+  /**
+   * `get()` returns the dependencies object, kept as the compatibility view
+   * of the container: plain values added with `add` and lazy registrations.
+   */
   get core() {
     return {
       add: this.addCustomDependency.bind(this),
       get: this.getDependencies.bind(this),
+      register: this.register.bind(this),
+      resolve: this.resolve.bind(this),
+      has: this.has.bind(this),
+      createScope: this.createScope.bind(this),
     };
   }
 
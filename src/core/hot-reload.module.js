@@ -0,0 +1,282 @@
+const fs = require('fs');
+
+/**
+ * Watches the application sources in development and rebuilds only what
+ * changed, without restarting the process. Database, storage and the other
+ * infrastructure connections stay up.
+ *
+ * Enabled with `server.hotReload` (`true` or `{ enabled, debounce }`), never
+ * when `NODE_ENV` is `production`.
+ */
+class HotReloadModule {
+  constructor(dependencies) {
+    /* Base Properties */
+    this._dependencies = dependencies;
+    this._console = dependencies.console;
+    this._config = dependencies.config;
+
+    /* Custom Properties */
+    this._path = dependencies.path;
+    this._settings =
+      typeof this._config?.server?.hotReload === 'object'
+        ? { enabled: true, ...this._config.server.hotReload }
+        : { enabled: this._config?.server?.hotReload === true };
+
+    /* Assigments */
+    this._namespace = '[Loom]::[Core]::[Hot Reload]';
+    this._sourcePath = this._path.join(this._dependencies.root, 'src');
+    this._watchers = new Map(); // directory -> watcher
+    this._changedFiles = new Set();
+    this._debounceTimer = null;
+    // Reload order: services first, as the other parts are built on top of them
+    this._reloaders = {
+      services: () => this.#reloadServices(),
+      streams: () => this._dependencies.StreamModule?.reload(),
+      functions: () => this._dependencies.FunctionsModule?.reload(),
+      events: () => {
+        this._dependencies.ProducerModule?.reload();
+        this._dependencies.ConsumerModule?.reload();
+      },
+      routes: () => this._dependencies.ApiModule?.reload(),
+    };
+  }
+
+  setup() {
+    if (!this.isEnabled) {
+      return;
+    }
+
+    this._console.success('Loading module', { namespace: this._namespace });
+
+    Object.keys(this._reloaders).forEach((area) => this.#watch(area));
+
+    this._console.success('Module loaded', { namespace: this._namespace });
+  }
+
+  #watch(area) {
+    const directory = this._path.join(this._sourcePath, area);
+
+    if (!fs.existsSync(directory)) {
+      return;
+    }
+
+    try {
+      try {
+        this.#addWatcher(area, directory, { recursive: true });
+      } catch (error) {
+        // Recursive watching is not available on Linux before Node 20
+        if (error.code !== 'ERR_FEATURE_UNAVAILABLE_ON_PLATFORM') {
+          throw error;
+        }
+
+        this.#watchTree(area, directory);
+      }
+    } catch (error) {
+      this._console.error(`Cannot watch src/${area}: ${error.message}`, {
+        namespace: this._namespace,
+      });
+      return;
+    }
+
+    this._console.info(`Watching src/${area}`, { namespace: this._namespace });
+  }
+
+  #addWatcher(area, directory, { recursive = false } = {}) {
+    const watcher = fs.watch(
+      directory,
+      { recursive },
+      (eventType, filename) => {
+        if (!filename) {
+          return;
+        }
+
+        const file = this._path.join(directory, filename);
+
+        // Without recursive watching, new directories need watchers of their own
+        if (!recursive && eventType === 'rename') {
+          this.#handleRename(area, file);
+        }
+
+        if (!/\.(js|json)$/.test(filename)) {
+          return;
+        }
+
+        this.#scheduleReload(file);
+      },
+    );
+
+    watcher.on('error', (error) => {
+      this._console.error(`Watcher of src/${area} failed: ${error.message}`, {
+        namespace: this._namespace,
+      });
+    });
+
+    this._watchers.set(directory, watcher);
+  }
+
+  // One watcher per directory, for platforms without recursive watching
+  #watchTree(area, directory) {
+    this.#directories(directory)
+      .filter((subdirectory) => !this._watchers.has(subdirectory))
+      .forEach((subdirectory) => this.#addWatcher(area, subdirectory));
+  }
+
+  // `file` was created, removed or renamed in a watched directory
+  #handleRename(area, file) {
+    try {
+      if (fs.existsSync(file)) {
+        if (fs.statSync(file).isDirectory()) {
+          this.#watchTree(area, file);
+        }
+        return;
+      }
+
+      [...this._watchers.keys()]
+        .filter(
+          (directory) =>
+            directory === file || directory.startsWith(file + this._path.sep),
+        )
+        .forEach((directory) => {
+          this._watchers.get(directory).close();
+          this._watchers.delete(directory);
+        });
+    } catch (error) {
+      this._console.error(`Cannot watch ${file}: ${error.message}`, {
+        namespace: this._namespace,
+      });
+    }
+  }
+
+  // `directory` and its subdirectories, as they are now
+  #directories(directory) {
+    return [
+      directory,
+      ...fs
+        .readdirSync(directory, { withFileTypes: true })
+        .filter((entry) => entry.isDirectory())
+        .flatMap((entry) =>
+          this.#directories(this._path.join(directory, entry.name)),
+        ),
+    ];
+  }
+
+  // Editors write a file in several steps, changes are batched
+  #scheduleReload(filename) {
+    this._changedFiles.add(filename);
+
+    clearTimeout(this._debounceTimer);
+    this._debounceTimer = setTimeout(() => {
+      const files = [...this._changedFiles];
+
+      this._changedFiles.clear();
+      this.#reload(files);
+    }, this._settings.debounce || 100);
+  }
+
+  #reload(files) {
+    const areas = new Set();
+
+    files.forEach((filename) => {
+      [filename, ...this.#invalidate(filename)].forEach((file) => {
+        const area = this.#areaOf(file);
+
+        if (area) {
+          areas.add(area);
+        }
+      });
+    });
+
+    // Routes usually keep the services they were built with
+    if (areas.has('services')) {
+      areas.add('routes');
+    }
+
+    Object.keys(this._reloaders)
+      .filter((area) => areas.has(area))
+      .forEach((area) => {
+        try {
+          this._reloaders[area]();
+
+          this._console.success(`Reloaded src/${area}`, {
+            namespace: this._namespace,
+          });
+        } catch (error) {
+          // The previous version keeps running until the next successful reload
+          this._console.error(
+            `Reload of src/${area} failed: ${error.message}`,
+            { namespace: this._namespace },
+          );
+        }
+      });
+  }
+
+  /**
+   * Removes `filename` from the `require` cache, together with every module
+   * of the application that requires it, directly or not.
+   *
+   * @returns {string[]} The removed files
+   */
+  #invalidate(filename) {
+    const invalidated = new Set();
+    const pending = [filename];
+
+    while (pending.length) {
+      const file = pending.pop();
+
+      if (invalidated.has(file)) {
+        continue;
+      }
+
+      invalidated.add(file);
+
+      Object.values(require.cache).forEach((module) => {
+        const isParent =
+          module.id.startsWith(this._sourcePath) &&
+          module.children.some((child) => child.id === file);
+
+        if (isParent) {
+          pending.push(module.id);
+        }
+      });
+    }
+
+    invalidated.forEach((file) => delete require.cache[file]);
+
+    return [...invalidated];
+  }
+
+  #areaOf(filename) {
+    const [area] = this._path
+      .relative(this._sourcePath, filename)
+      .split(this._path.sep);
+
+    return this._reloaders[area] ? area : null;
+  }
+
+  #reloadServices() {
+    const services = this._dependencies.ServiceModule?.reload();
+
+    this._dependencies.DependenciesModule.core.add(services, 'services');
+  }
+
+  /**
+   * Closes the file watchers.
+   *
+   * @returns {number} Amount of watchers closed
+   */
+  stop() {
+    const closed = this._watchers.size;
+
+    clearTimeout(this._debounceTimer);
+    this._watchers.forEach((watcher) => watcher.close());
+    this._watchers.clear();
+
+    return closed;
+  }
+
+  get isEnabled() {
+    return !!this._settings.enabled && process.env.NODE_ENV !== 'production';
+  }
+}
+
+module.exports = { HotReloadModule };
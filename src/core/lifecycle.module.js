@@ -0,0 +1,286 @@
+// Readiness component that no built-in module stands for
+const RESERVED_NAMES = Object.freeze(['server']);
+
+/**
+ * Orders the boot of the infrastructure, application and adapter modules.
+ *
+ * Every module is a node with a `name` and the names it `dependsOn`. Nodes
+ * boot in dependency order; between nodes that are free to boot, the order
+ * in which they were added wins, so the built-in sequence is kept.
+ *
+ * Application modules come from `new Loom({ modules: [...] })` and from the
+ * `src/modules/index` manifest (an array, or an object keyed by name):
+ *
+ *   class CacheModule {
+ *     static name = 'cache';
+ *     static dependsOn = ['database'];
+ *
+ *     constructor(dependencies) { ... }
+ *     async setup() { ... }
+ *     healthCheck() { return { status: 'up' }; }   // optional
+ *     async teardown() { ... }                     // optional
+ *     get api() { ... }                            // optional
+ *   }
+ *
+ * Plain objects with the same members work too. Once set up, `api` (or the
+ * module itself) is added to the dependencies under the module name.
+ */
+class LifecycleModule {
+  constructor(dependencies) {
+    /* Base Properties */
+    this._dependencies = dependencies;
+    this._console = dependencies.console;
+
+    /* Custom Properties */
+    this._path = dependencies.path;
+
+    /* Assigments */
+    this._namespace = '[Loom]::[Core]::[Lifecycle]';
+    this._nodes = new Map();
+    this._applicationModules = new Map();
+    this._booted = [];
+    this._builtInNames = new Set(RESERVED_NAMES);
+  }
+
+  /**
+   * Adds a built-in module to the boot sequence.
+   *
+   * @param {Object} node
+   * @param {string} node.name
+   * @param {string[]} [node.dependsOn]
+   * @param {Function} node.setup - Boots the module
+   */
+  add({ name, dependsOn = [], setup }) {
+    this._builtInNames.add(name);
+    this.#addNode({ name, dependsOn, setup });
+  }
+
+  /**
+   * Adds the application modules passed to Loom and the ones declared in
+   * `src/modules/index`.
+   *
+   * @param {Array} [modules] - Definitions passed to the Loom constructor
+   * @param {Object} [options]
+   * @param {string[]} [options.reserved] - Built-in modules added afterwards
+   * @throws {Error} When a module takes the name of a built-in module or of
+   * a dependency
+   */
+  loadApplicationModules(modules = [], { reserved = [] } = {}) {
+    reserved.forEach((name) => this._builtInNames.add(name));
+
+    [...modules, ...this.#readManifest()].forEach((definition) =>
+      this.#addApplicationModule(definition),
+    );
+
+    return this._applicationModules.size;
+  }
+
+  #readManifest() {
+    const manifestPath = this._path.join(
+      this._dependencies.root,
+      'src',
+      'modules',
+      'index',
+    );
+    let manifest;
+
+    try {
+      manifest = require(manifestPath);
+    } catch (error) {
+      // No manifest is fine, a manifest that fails to load is not
+      if (
+        error.code === 'MODULE_NOT_FOUND' &&
+        error.message.includes(manifestPath)
+      ) {
+        return [];
+      }
+
+      throw error;
+    }
+
+    return Array.isArray(manifest) ? manifest : Object.values(manifest || {});
+  }
+
+  #addApplicationModule(definition) {
+    const isClass = typeof definition === 'function';
+    const { name, dependsOn = [] } = definition || {};
+    const hasSetup = isClass
+      ? typeof definition.prototype?.setup === 'function'
+      : typeof definition?.setup === 'function';
+
+    if (!name || typeof name !== 'string') {
+      throw new Error('Application modules must declare a `name`');
+    }
+
+    if (!hasSetup) {
+      throw new Error(`Module "${name}" must implement setup()`);
+    }
+
+    this.#assertNameIsFree(name);
+
+    this.#addNode({
+      name,
+      dependsOn,
+      setup: async () => {
+        const Module = definition;
+        const instance = isClass ? new Module(this._dependencies) : definition;
+
+        this._applicationModules.set(name, instance);
+
+        await instance.setup(this._dependencies);
+
+        // Dependencies added while booting are known only now
+        this.#assertNameIsFree(name);
+
+        this._dependencies.DependenciesModule.core.add(
+          instance.api ?? instance,
+          name,
+        );
+      },
+    });
+  }
+
+  // The module is added to the dependencies under its name, it must not replace one
+  #assertNameIsFree(name) {
+    if (this._builtInNames.has(name)) {
+      throw new Error(`Module name "${name}" is reserved by a built-in module`);
+    }
+
+    if (this._dependencies.DependenciesModule.core.has(name)) {
+      throw new Error(`Module name "${name}" is already taken by a dependency`);
+    }
+  }
+
+  #addNode({ name, dependsOn, setup }) {
+    if (this._nodes.has(name)) {
+      throw new Error(`Module "${name}" is already registered`);
+    }
+
+    this._nodes.set(name, {
+      name,
+      dependsOn: [].concat(dependsOn),
+      setup,
+    });
+  }
+
+  /**
+   * Orders the nodes so every module boots after the ones it depends on.
+   *
+   * @throws {Error} On unknown dependencies or dependency cycles
+   */
+  sort() {
+    const nodes = [...this._nodes.values()];
+
+    nodes.forEach((node) => {
+      node.dependsOn.forEach((dependency) => {
+        if (!this._nodes.has(dependency)) {
+          throw new Error(
+            `Module "${node.name}" depends on unknown module "${dependency}"`,
+          );
+        }
+      });
+    });
+
+    const sorted = [];
+    const pending = new Set(nodes);
+
+    while (pending.size) {
+      // First added among the modules whose dependencies are booted
+      const next = [...pending].find((node) =>
+        node.dependsOn.every((dependency) =>
+          sorted.some((item) => item.name === dependency),
+        ),
+      );
+
+      if (!next) {
+        throw new Error(
+          `Module dependency cycle: ${this.#findCycle([...pending]).join(' -> ')}`,
+        );
+      }
+
+      sorted.push(next);
+      pending.delete(next);
+    }
+
+    return sorted;
+  }
+
+  #findCycle(nodes) {
+    const names = new Set(nodes.map((node) => node.name));
+    const visit = (name, path) => {
+      if (path.includes(name)) {
+        return [...path.slice(path.indexOf(name)), name];
+      }
+
+      for (const dependency of this._nodes.get(name).dependsOn) {
+        const cycle =
+          names.has(dependency) && visit(dependency, [...path, name]);
+
+        if (cycle) {
+          return cycle;
+        }
+      }
+
+      return null;
+    };
+
+    return visit(nodes[0].name, []) || nodes.map((node) => node.name);
+  }
+
+  /**
+   * Boots every module in dependency order. Fails fast: the first module
+   * that throws stops the boot.
+   */
+  async boot() {
+    const sorted = this.sort();
+
+    this._console.info(
+      `Boot order: ${sorted.map((node) => node.name).join(', ')}`,
+      { namespace: this._namespace },
+    );
+
+    for (const node of sorted) {
+      await node.setup();
+
+      this._booted.push(node.name);
+    }
+  }
+
+  /**
+   * Calls `teardown()` on the application modules, in reverse boot order.
+   *
+   * @returns {string[]} Names of the modules torn down
+   */
+  async teardown() {
+    const tornDown = [];
+    const names = [...this._booted]
+      .reverse()
+      .filter((name) => this._applicationModules.has(name));
+
+    for (const name of names) {
+      const instance = this._applicationModules.get(name);
+
+      if (typeof instance.teardown !== 'function') {
+        continue;
+      }
+
+      try {
+        await instance.teardown();
+        tornDown.push(name);
+      } catch (error) {
+        this._console.error(`Teardown of "${name}" failed: ${error.message}`, {
+          namespace: this._namespace,
+        });
+      }
+    }
+
+    return tornDown;
+  }
+
+  /** Application module instances, by name. */
+  get modules() {
+    return Object.fromEntries(this._applicationModules);
+  }
+}
+
+module.exports = { LifecycleModule };
@@ -1,3 +1,5 @@
+const WildcardUtil = require('../utils/wildcard.util');
+
 class SettingsModule {
   constructor(dependencies) {
     /* Base Properties */
@@ -9,9 +11,18 @@ class SettingsModule {
     /* Custom Properties */
     this._express = this._dependencies.express;
     this._httpServer = this._dependencies.httpServer;
+    this._security = this._config?.server?.security || {};
 
     /* Assigments */
     this._namespace = '[Loom]::[Core]::[Settings]';
+    this._policies = new Map();
+    this._policyRouter = this._dependencies.expressModule.Router();
+    this._policyFactories = {
+      helmet: (options) => this._dependencies.helmet(options),
+      compression: (options) => this._dependencies.compress(options),
+      cors: (options) =>
+        this._dependencies.cors(this.#buildCorsOptions(options)),
+    };
   }
 
   setup() {
@@ -39,13 +50,157 @@ class SettingsModule {
 
   /**
    * Setup security configurations
+   *
+   * Helmet, compression and CORS are configured under `server.security`:
+   *
+   *   {
+   *     "cors": { "origins": ["https://app.example.com"], "credentials": true },
+   *     "helmet": { "contentSecurityPolicy": { "directives": { ... } }, "hsts": { ... } },
+   *     "compression": { "threshold": 1024 }
+   *   }
+   *
+   * Any of them can be `false` to disable it. Router endpoints override these
+   * policies through `registerPolicy`, so each middleware is a dispatcher that
+   * picks the endpoint policy, or the global one when the endpoint has none.
    */
   #securityConfigs() {
-    this._express.use(this._dependencies.helmet());
+    // Delegates to the current router, `resetPolicies` replaces it
+    this._express.use((req, res, next) => this._policyRouter(req, res, next));
+    this._express.use(this.#dispatchPolicy('helmet'));
     this._express.disable('x-powered-by');
-    this._express.use(this._dependencies.compress());
+    this._express.use(this.#dispatchPolicy('compression'));
+
+    this._express.use(this.#dispatchPolicy('cors'));
+  }
+
+  /**
+   * Registers the security overrides of an endpoint. Each key merges on top of
+   * the global policy; `false` disables that middleware for the endpoint.
+   *
+   * @param {Object} args
+   * @param {string} args.method - HTTP method of the endpoint
+   * @param {string} args.path - Express path of the endpoint
+   * @param {Object} args.security - `{ cors?, helmet?, compression? }`
+   */
+  registerPolicy({ method, path, security }) {
+    const middlewares = Object.fromEntries(
+      Object.entries(security)
+        .filter(([name]) => this._policyFactories[name])
+        .map(([name, options]) => [
+          name,
+          this.#createPolicyMiddleware(
+            name,
+            options === false
+              ? false
+              : { ...this.#globalPolicy(name), ...options },
+          ),
+        ]),
+    );
+
+    if (!this._policies.has(path)) {
+      const policiesByMethod = new Map();
+
+      this._policies.set(path, policiesByMethod);
+
+      // Preflight requests are matched by the method they announce
+      this._policyRouter.all(path, (req, _res, next) => {
+        const requestedMethod =
+          req.method === 'OPTIONS'
+            ? req.headers['access-control-request-method']
+            : req.method;
+
+        req.securityPolicy =
+          req.securityPolicy ||
+          policiesByMethod.get(`${requestedMethod}`.toLowerCase());
+
+        next();
+      });
+    }
+
+    this._policies.get(path).set(method.toLowerCase(), middlewares);
+  }
+
+  /**
+   * Forgets the endpoint policies, before the ApiModule registers them again.
+   */
+  resetPolicies() {
+    this._policies = new Map();
+    this._policyRouter = this._dependencies.expressModule.Router();
+  }
+
+  #dispatchPolicy(name) {
+    const globalMiddleware = this.#createPolicyMiddleware(
+      name,
+      this.#globalPolicy(name),
+    );
+
+    return (req, res, next) => {
+      const middleware = req.securityPolicy?.[name] || globalMiddleware;
+
+      middleware(req, res, next);
+    };
+  }
+
+  #globalPolicy(name) {
+    const policy = this._security[name];
+
+    return policy === false ? false : { ...policy };
+  }
+
+  #createPolicyMiddleware(name, options) {
+    if (options === false) {
+      return (_req, _res, next) => next();
+    }
+
+    return this._policyFactories[name](options);
+  }
+
+  /**
+   * Translates the `cors` policy into `cors` package options. `origins`
+   * accepts exact origins, `*` and wildcards such as `https://*.example.com`.
+   *
+   * @throws {Error} When `credentials` is allowed for any origin
+   */
+  #buildCorsOptions(policy = {}) {
+    const { origins, ...options } = policy;
+
+    if (!origins || origins === '*' || [].concat(origins).includes('*')) {
+      // Any website could send credentialed requests
+      if (options.credentials) {
+        throw new Error(
+          'CORS `credentials` requires an explicit list of `origins`, not `*`',
+        );
+      }
+
+      return { ...options, origin: '*' };
+    }
+
+    return {
+      ...options,
+      origin: (origin, callback) =>
+        callback(null, this.#isOriginAllowed(origin, [].concat(origins))),
+    };
+  }
+
+  #isOriginAllowed(origin, origins) {
+    // Same-origin and non-browser requests do not send an Origin header
+    if (!origin) {
+      return true;
+    }
+
+    // A wildcard never spans the scheme separator or a path
+    return origins.some((allowed) =>
+      WildcardUtil.matches(allowed, origin, { wildcard: '[^/]*' }),
+    );
+  }
+
+  /**
+   * Global CORS options, shared with the socket.io server of the broker.
+   */
+  get corsOptions() {
+    const policy = this.#globalPolicy('cors');
 
-    this._express.use(this._dependencies.cors());
+    return policy === false ? false : this.#buildCorsOptions(policy);
   }
 
   #ioConfigs() {
@@ -10,6 +10,8 @@ const ValidatorUtil = require('../utils/validator.util');
 
 const PerformanceUtil = require('../utils/performance.util');
 const SseUtil = require('../utils/sse.util');
+const ContextUtil = require('../utils/context.util');
+const RateLimitUtil = require('../utils/rate-limit.util');
 
 class UtilitiesModule {
   constructor(dependencies) {
@@ -33,6 +35,8 @@ class UtilitiesModule {
     this._cryptoUtil = new CryptoUtil(this._dependencies);
     this._performanceUtil = new PerformanceUtil(this._dependencies);
     this._sseUtil = new SseUtil(this._dependencies);
+    this._contextUtil = new ContextUtil(this._dependencies);
+    this._rateLimitUtil = new RateLimitUtil(this._dependencies);
   }
 
   setup() {
@@ -82,6 +86,14 @@ class UtilitiesModule {
   get sse() {
     return this._sseUtil.sse;
   }
+
+  get context() {
+    return this._contextUtil.context;
+  }
+
+  get rateLimit() {
+    return this._rateLimitUtil.rateLimit;
+  }
 }
 
 module.exports = { UtilitiesModule };
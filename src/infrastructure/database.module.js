@@ -1,3 +1,7 @@
+const AdapterUtil = require('../utils/adapter.util');
+const ContextUtil = require('../utils/context.util');
+const { MigrationRunner } = require('./database/migration.runner');
+
 class DatabaseModule {
   constructor({ dependencies, dependencyInjector }) {
     /* Base Properties */
@@ -12,14 +16,16 @@ class DatabaseModule {
     this._adapter = {};
     this._adapterInstance = {};
     this._defaultClient = {};
+    this._connections = new Map();
+    this._failedConnections = new Map();
+    this._migrationRunner = new MigrationRunner({
+      database: this,
+      dependencies: this._dependencies,
+      settings: this._module?.settings?.migrations,
+    });
 
     /* Assigments */
     this._namespace = '[Loom]::[Infrastructure]::[Module]::[Database]';
-    this._db = {
-      transaction: {},
-      driver: {},
-      client: {},
-    };
   }
 
   async setup() {
@@ -41,6 +47,12 @@ class DatabaseModule {
     }
 
     await this.#setupDefaultAdapter();
+    await this.#setupConnections();
+
+    // A failed migration stops the boot, the schema would not match the code
+    if (this._module.settings.migrateOnBoot) {
+      await this._migrationRunner.migrate();
+    }
 
     this._console.success('Module loaded', { namespace: this._namespace });
   }
@@ -56,29 +68,140 @@ class DatabaseModule {
         adapterName: this._adapterName,
         adapter: this._adapter,
       });
+      this._adapterInstance =
+        this._connections.get(this._adapterName)?.adapter || {};
     } catch (error) {
       this._console.error(error, { namespace: this._namespace });
     }
   }
 
-  async loadAdapter({ adapterName, adapter }) {
+  // The default provider always connects, the others when `enabled`
+  async #setupConnections() {
+    const providers = Object.entries(this._module.providers).filter(
+      ([name, adapter]) =>
+        name !== this._adapterName && adapter?.enabled === true,
+    );
+
+    for (const [adapterName, adapter] of providers) {
+      await this.loadAdapter({ adapterName, adapter });
+    }
+  }
+
+  /**
+   * Loads a provider and keeps it as the connection `adapterName`. The
+   * adapter comes from `src/adapters/database/<adapter.adapter>`, or from the
+   * directory named after the provider when `adapter.adapter` is not set.
+   *
+   * @param {Object} args
+   * @param {string} args.adapterName - Connection name
+   * @param {Object} args.adapter - Provider settings
+   * @returns {Promise<any>} The driver returned by the adapter `setup()`
+   */
+  async loadAdapter({ adapterName, adapter = {} }) {
     try {
-      const AdapterClass = require(`${this._dependencies.root}/src/adapters/database/${adapterName}/${adapterName}.adapter`);
-      this._adapterInstance = new AdapterClass(this._dependencies);
+      const directory = adapter.adapter || adapterName;
+      const AdapterClass = require(
+        `${this._dependencies.root}/src/adapters/database/${directory}/${directory}.adapter`,
+      );
+      const adapterInstance = new AdapterClass(this._dependencies);
+
+      const driver = await adapterInstance.setup({ adapter });
+
+      this._connections.set(adapterName, {
+        name: adapterName,
+        client: driver,
+        settings: adapter,
+        adapter: adapterInstance,
+      });
+      this._failedConnections.delete(adapterName);
 
-      const driver = await this._adapterInstance.setup({ adapter });
+      this._console.success(`Connection loaded: ${adapterName}`, {
+        namespace: this._namespace,
+      });
 
       return driver;
     } catch (error) {
+      // Kept for the readiness probe, which reports it as down
+      this._failedConnections.set(adapterName, {
+        status: 'down',
+        // First line only, require errors append the require stack
+        message: `${error?.message}`.split('\n')[0],
+      });
       this._console.error(error, { namespace: this._namespace });
     }
   }
 
+  /**
+   * Reports the status of every connection for the readiness probe.
+   * Adapters may implement an optional `healthCheck()`, see `AdapterUtil`.
+   *
+   * The module is `down` when any connection is down, including the
+   * providers that failed to load.
+   *
+   * @returns {Promise<{status: string, adapter?: string, connections?: Object}>}
+   */
+  async healthCheck() {
+    const health = await AdapterUtil.health({
+      enabled: this._module?.settings?.enabled,
+      loaded: this._connections.has(this._adapterName),
+      name: this._adapterName,
+    });
+
+    if (health.status !== 'up') {
+      return health;
+    }
+
+    const connections = Object.fromEntries([
+      ...(await Promise.all(
+        [...this._connections.values()].map(async (connection) => [
+          connection.name,
+          await AdapterUtil.check(connection.adapter),
+        ]),
+      )),
+      ...this._failedConnections,
+    ]);
+    const isUp = Object.values(connections).every(
+      (connection) => connection.status === 'up',
+    );
+
+    return {
+      ...connections[this._adapterName],
+      status: isUp ? 'up' : 'down',
+      adapter: this._adapterName,
+      connections,
+    };
+  }
+
+  /**
+   * Releases the resources of every connection, in reverse load order.
+   * Called by Loom during graceful shutdown. A connection that fails to tear
+   * down does not stop the others.
+   *
+   * @returns {Promise<boolean>} true when any adapter implements `teardown()`
+   */
+  async teardown() {
+    let hasTeardown = false;
+
+    for (const { name, adapter } of [...this._connections.values()].reverse()) {
+      const released = await AdapterUtil.teardown(adapter, {
+        console: this._console,
+        namespace: this._namespace,
+        label: `Connection "${name}"`,
+      });
+
+      hasTeardown = hasTeardown || released;
+    }
+
+    return hasTeardown;
+  }
+
   get client() {
     return this._defaultClient || {};
   }
 
   get api() {
+    const databaseModule = this;
+
     return {
       default: {
         name: this._adapterName,
@@ -87,12 +210,187 @@ class DatabaseModule {
         adapter: this._adapterInstance,
       },
       client: this.client,
-      loadAdapter: this.loadAdapter
+      // Read on access, so connections loaded later show up
+      get connections() {
+        return databaseModule.connections;
+      },
+      connection: this.connection.bind(this),
+      loadAdapter: this.loadAdapter.bind(this),
+      transaction: this.transaction.bind(this),
+      currentTransaction: this.currentTransaction.bind(this),
+      migrations: this.migrations,
+    };
+  }
+
+  /**
+   * Runs `callback` inside a transaction of `connection` (the default one when
+   * omitted). Commits when the callback resolves and rolls back when it throws.
+   *
+   * The adapter implements `begin(options)`, `commit(handle)` and
+   * `rollback(handle)`, where `handle` is whatever `begin` returns. A nested
+   * call on the same connection uses a savepoint when the adapter implements
+   * `savepoint(handle, name)`, `rollbackToSavepoint(handle, name)` and
+   * `releaseSavepoint(handle, name)`; otherwise it joins the outer transaction.
+   *
+   * The transaction is kept in the async context, so code awaited inside the
+   * callback gets it from `currentTransaction()`.
+   *
+   * @param {Function} callback - `async (tx) => {}`, `tx.client` is the handle
+   * @param {Object} [options] - Passed to the adapter `begin`
+   * @param {string} [options.connection] - Connection name
+   * @returns {Promise<any>} Whatever the callback returns
+   */
+  async transaction(callback, { connection: name, ...options } = {}) {
+    const connection = this.connection(name);
+    const { adapter } = connection;
+    const outer = this.currentTransaction(connection.name);
+
+    if (outer) {
+      return this.#runNested(outer, callback);
     }
+
+    const isSupported = ['begin', 'commit', 'rollback'].every(
+      (method) => typeof adapter[method] === 'function',
+    );
+
+    if (!isSupported) {
+      throw new Error(
+        `Database connection "${connection.name}" does not support transactions`,
+      );
+    }
+
+    const tx = {
+      connection: connection.name,
+      client: await adapter.begin(options),
+      depth: 0,
+      isActive: true,
+      savepoints: 0,
+    };
+
+    // Savepoint names are counted across the whole transaction
+    tx.root = tx;
+
+    try {
+      const result = await this.#runInContext(tx, callback);
+
+      await adapter.commit(tx.client);
+
+      return result;
+    } catch (error) {
+      await this.#rollback(connection.name, () => adapter.rollback(tx.client));
+
+      throw error;
+    } finally {
+      tx.isActive = false;
+    }
+  }
+
+  async #runNested(outer, callback) {
+    const { adapter } = this.connection(outer.connection);
+    const hasSavepoints = [
+      'savepoint',
+      'rollbackToSavepoint',
+      'releaseSavepoint',
+    ].every((method) => typeof adapter[method] === 'function');
+
+    if (!hasSavepoints) {
+      return callback(outer);
+    }
+
+    const savepoint = `loom_savepoint_${++outer.root.savepoints}`;
+    const tx = {
+      ...outer,
+      depth: outer.depth + 1,
+      savepoint,
+      isActive: true,
+    };
+
+    await adapter.savepoint(outer.client, savepoint);
+
+    try {
+      const result = await this.#runInContext(tx, callback);
+
+      await adapter.releaseSavepoint(outer.client, savepoint);
+
+      return result;
+    } catch (error) {
+      await this.#rollback(outer.connection, () =>
+        adapter.rollbackToSavepoint(outer.client, savepoint),
+      );
+
+      throw error;
+    } finally {
+      tx.isActive = false;
+    }
+  }
+
+  // Copies the context, so the transaction ends with the callback
+  #runInContext(tx, callback) {
+    const store = ContextUtil.get();
+
+    return ContextUtil.run(
+      {
+        ...store,
+        transactions: { ...store?.transactions, [tx.connection]: tx },
+      },
+      () => callback(tx),
+    );
   }
 
+  // The error of the callback is the one worth throwing
+  async #rollback(name, rollback) {
+    try {
+      await rollback();
+    } catch (error) {
+      this._console.error(`Rollback on "${name}" failed: ${error.message}`, {
+        namespace: this._namespace,
+      });
+    }
+  }
+
+  /**
+   * Returns the transaction active in the async context for `name` (the
+   * default connection when omitted), or `null`.
+   */
+  currentTransaction(name = this._adapterName) {
+    const tx = ContextUtil.get()?.transactions?.[name];
+
+    return tx?.isActive ? tx : null;
+  }
+
+  /**
+   * Returns a loaded connection.
+   *
+   * @param {string} [name] - Connection name, the default one when omitted
+   * @returns {{name: string, client: any, settings: Object, adapter: Object}}
+   */
+  connection(name = this._adapterName) {
+    const connection = this._connections.get(name);
+
+    if (!connection) {
+      throw new Error(`Database connection "${name}" is not loaded`);
+    }
+
+    return connection;
+  }
+
+  /** Loaded connections by name: `{ client, settings, adapter }`. */
+  get connections() {
+    return Object.fromEntries(this._connections);
+  }
+
+  /** `migrate`, `rollback`, `status` and `scaffold`, see `MigrationRunner`. */
+  get migrations() {
+    return this._migrationRunner.api;
+  }
+
+  /** The default connection, with the transaction active in the context. */
   get dataSource() {
-    return this._db;
+    return {
+      transaction: this.currentTransaction(),
+      driver: this._adapterInstance,
+      client: this._defaultClient,
+    };
   }
 }
 
@@ -0,0 +1,270 @@
+const fs = require('fs');
+const path = require('path');
+const { SchemaScaffolder } = require('./schema.scaffolder');
+
+// `20261019120000_create_products.js` -> version 20261019120000
+const MIGRATION_FILE = /^(\d+)[_-](.+)\.js$/;
+
+/**
+ * Runs the migrations of `modules.database.settings.migrations.path`
+ * (default `src/migrations`) on the default connection.
+ *
+ * A migration exports `up(context)` and `down(context)`, where the context is
+ * `{ client, transaction, dependencies }`. Each one runs in its own
+ * transaction when the adapter supports them.
+ *
+ * Applied versions are tracked by the adapter, which implements:
+ *
+ *   ensureMigrationsTable({ table })                       // optional
+ *   appliedMigrations({ table })                           -> [{ version, name, appliedAt }]
+ *   recordMigration({ table, version, name, transaction })
+ *   removeMigration({ table, version, transaction })
+ */
+class MigrationRunner {
+  constructor({ database, dependencies, settings = {} }) {
+    /* Base Properties */
+    this._dependencies = dependencies;
+    this._console = dependencies.console;
+
+    /* Custom Properties */
+    this._database = database;
+    this._scaffolder = new SchemaScaffolder({ dependencies, settings });
+
+    /* Assigments */
+    this._namespace =
+      '[Loom]::[Infrastructure]::[Module]::[Database]::[Migrations]';
+    this._directory = path.resolve(
+      dependencies.root || process.cwd(),
+      settings.path || 'src/migrations',
+    );
+    this._table = settings.table || 'loom_migrations';
+  }
+
+  /**
+   * Applies the pending migrations in version order. Stops at the first one
+   * that fails; the ones applied before it stay applied.
+   *
+   * @param {Object} [options]
+   * @param {string|number} [options.to] - Last version to apply
+   * @returns {Promise<string[]>} Versions applied
+   */
+  async migrate({ to } = {}) {
+    const applied = new Set(
+      (await this.#appliedMigrations()).map(({ version }) => `${version}`),
+    );
+    const pending = this.#readMigrations().filter(
+      (migration) =>
+        !applied.has(migration.version) &&
+        (to === undefined || this.#compare(migration.version, `${to}`) <= 0),
+    );
+
+    for (const migration of pending) {
+      await this.#run(migration, 'up', (transaction) =>
+        this.#callAdapter('recordMigration', {
+          version: migration.version,
+          name: migration.name,
+          transaction,
+        }),
+      );
+    }
+
+    this._console.success(
+      pending.length
+        ? `Applied ${pending.length} migration(s)`
+        : 'Database schema is up to date',
+      { namespace: this._namespace },
+    );
+
+    return pending.map(({ version }) => version);
+  }
+
+  /**
+   * Reverts applied migrations, latest first.
+   *
+   * @param {Object} [options]
+   * @param {number} [options.steps] - Migrations to revert, 1 by default
+   * @param {string|number} [options.to] - Revert every version after this one
+   * @returns {Promise<string[]>} Versions reverted
+   */
+  async rollback({ steps = 1, to } = {}) {
+    const migrations = this.#readMigrations();
+    const applied = (await this.#appliedMigrations())
+      .map(({ version }) => `${version}`)
+      .sort((a, b) => this.#compare(b, a));
+    const versions =
+      to === undefined
+        ? applied.slice(0, steps)
+        : applied.filter((version) => this.#compare(version, `${to}`) > 0);
+
+    for (const version of versions) {
+      const migration = migrations.find((item) => item.version === version);
+
+      if (!migration) {
+        throw new Error(
+          `Migration ${version} is applied but its file is missing in ${this._directory}`,
+        );
+      }
+
+      await this.#run(migration, 'down', (transaction) =>
+        this.#callAdapter('removeMigration', { version, transaction }),
+      );
+    }
+
+    return versions;
+  }
+
+  /**
+   * Every migration, applied or not. Applied versions without a file are
+   * reported as `missing`.
+   */
+  async status() {
+    const applied = new Map(
+      (await this.#appliedMigrations()).map((migration) => [
+        `${migration.version}`,
+        migration,
+      ]),
+    );
+    const migrations = this.#readMigrations().map(({ version, name }) => ({
+      version,
+      name,
+      applied: applied.has(version),
+      appliedAt: applied.get(version)?.appliedAt ?? null,
+    }));
+    const missing = [...applied.values()]
+      .filter(({ version }) =>
+        migrations.every((migration) => migration.version !== `${version}`),
+      )
+      .map(({ version, name, appliedAt }) => ({
+        version: `${version}`,
+        name,
+        applied: true,
+        appliedAt,
+        missing: true,
+      }));
+
+    return [...migrations, ...missing].sort((a, b) =>
+      this.#compare(a.version, b.version),
+    );
+  }
+
+  /**
+   * Writes a migration with the changes of the models since the last
+   * scaffold. See `SchemaScaffolder`.
+   *
+   * @returns {{file: string, version: string, up: string[], down: string[]}|null}
+   *   null when the models did not change
+   */
+  scaffold({ name = 'schema' } = {}) {
+    return this._scaffolder.scaffold({
+      name,
+      directory: this._directory,
+      models: this._dependencies.models,
+    });
+  }
+
+  async #run(migration, direction, track) {
+    const { adapter, client } = this._database.connection();
+    const definition = require(migration.file);
+
+    if (typeof definition[direction] !== 'function') {
+      throw new Error(
+        `Migration ${migration.version} does not export ${direction}()`,
+      );
+    }
+
+    const execute = async (tx) => {
+      await definition[direction]({
+        client: tx?.client ?? client,
+        transaction: tx?.client,
+        dependencies: this._dependencies,
+      });
+      await track(tx?.client);
+    };
+    const hasTransactions = ['begin', 'commit', 'rollback'].every(
+      (method) => typeof adapter[method] === 'function',
+    );
+
+    try {
+      if (hasTransactions) {
+        await this._database.transaction(execute);
+      } else {
+        await execute(null);
+      }
+    } catch (error) {
+      throw new Error(
+        `Migration ${migration.version}_${migration.name} (${direction}) failed: ${error.message}`,
+        { cause: error },
+      );
+    }
+
+    this._console.info(
+      `${direction === 'up' ? 'Applied' : 'Reverted'} ${migration.version}_${migration.name}`,
+      { namespace: this._namespace },
+    );
+  }
+
+  async #appliedMigrations() {
+    const { adapter } = this._database.connection();
+
+    if (typeof adapter.ensureMigrationsTable === 'function') {
+      await adapter.ensureMigrationsTable({ table: this._table });
+    }
+
+    return (await this.#callAdapter('appliedMigrations', {})) || [];
+  }
+
+  #callAdapter(method, args) {
+    const { name, adapter } = this._database.connection();
+
+    if (typeof adapter[method] !== 'function') {
+      throw new Error(
+        `Database connection "${name}" does not implement ${method}(), required by migrations`,
+      );
+    }
+
+    return adapter[method]({ table: this._table, ...args });
+  }
+
+  #readMigrations() {
+    if (!fs.existsSync(this._directory)) {
+      return [];
+    }
+
+    const migrations = fs
+      .readdirSync(this._directory)
+      .map((filename) => filename.match(MIGRATION_FILE))
+      .filter(Boolean)
+      .map(([filename, version, name]) => ({
+        version,
+        name,
+        file: path.join(this._directory, filename),
+      }))
+      .sort((a, b) => this.#compare(a.version, b.version));
+
+    migrations.forEach((migration, index) => {
+      if (migration.version === migrations[index - 1]?.version) {
+        throw new Error(`Duplicated migration version ${migration.version}`);
+      }
+    });
+
+    return migrations;
+  }
+
+  // Versions are digits of any length, compared as numbers
+  #compare(a, b) {
+    const difference = BigInt(a) - BigInt(b);
+
+    return difference === 0n ? 0 : difference > 0n ? 1 : -1;
+  }
+
+  get api() {
+    return {
+      migrate: this.migrate.bind(this),
+      rollback: this.rollback.bind(this),
+      status: this.status.bind(this),
+      scaffold: this.scaffold.bind(this),
+    };
+  }
+}
+
+module.exports = { MigrationRunner };
@@ -0,0 +1,242 @@
+const fs = require('fs');
+const path = require('path');
+const ModelBase = require('../../utils/models/base.model');
+const {
+  SimpleProperty,
+  ComplexProperty,
+} = require('../../utils/models/property.model');
+
+// Column types by data type key, anything else is stored as jsonb
+const COLUMN_TYPES = {
+  string: 'text',
+  number: 'numeric',
+  boolean: 'boolean',
+  date: 'timestamptz',
+  // Epoch milliseconds, as strings
+  timestamp: 'bigint',
+  serial: 'serial',
+  bigserial: 'bigserial',
+  macaddr: 'macaddr',
+  inet: 'inet',
+  tsquery: 'tsquery',
+  tsvector: 'tsvector',
+  xml: 'xml',
+};
+
+/**
+ * Turns the `ModelBase` models into Postgres tables and writes the changes
+ * since the last scaffold as a migration.
+ *
+ * The schema the migrations lead to is kept in `schema.json`, next to them;
+ * each scaffold compares the models with it and updates it. Generated
+ * migrations call `client.query(sql)` and are meant to be reviewed.
+ */
+class SchemaScaffolder {
+  constructor({ dependencies, settings = {} }) {
+    /* Base Properties */
+    this._dependencies = dependencies;
+
+    /* Assigments */
+    this._schema = settings.schema || 'public';
+  }
+
+  scaffold({ name, directory, models = {} }) {
+    const snapshotFile = path.join(directory, 'schema.json');
+    const previous = fs.existsSync(snapshotFile)
+      ? JSON.parse(fs.readFileSync(snapshotFile, 'utf8'))
+      : {};
+    const current = this.describe(models);
+    const { up, down } = this.#diff(previous, current);
+
+    if (!up.length) {
+      return null;
+    }
+
+    const version = new Date().toISOString().replace(/\D/g, '').slice(0, 14);
+    const slug = name.replace(/[^\w]+/g, '_').toLowerCase();
+    const file = path.join(directory, `${version}_${slug}.js`);
+
+    fs.mkdirSync(directory, { recursive: true });
+    fs.writeFileSync(file, this.#render(up, down));
+    fs.writeFileSync(snapshotFile, `${JSON.stringify(current, null, 2)}\n`);
+
+    return { file, version, up, down };
+  }
+
+  /**
+   * Tables of the models: `{ [table]: { [column]: { type, primaryKey?, reference? } } }`
+   */
+  describe(models = {}) {
+    return Object.fromEntries(
+      Object.entries(models)
+        .filter(([, Model]) => Model?.prototype instanceof ModelBase)
+        .map(([name, Model]) => {
+          const instance = new Model({}, this._dependencies);
+          const columns = Object.entries(instance)
+            .filter(
+              ([, property]) =>
+                property instanceof SimpleProperty ||
+                property instanceof ComplexProperty,
+            )
+            .map(([column, property]) => [
+              column,
+              {
+                type: this.#columnType(property._type),
+                ...(property.isPK && { primaryKey: true }),
+                ...(property.reference && { reference: property.reference }),
+              },
+            ]);
+
+          return [Model.table || name, Object.fromEntries(columns)];
+        }),
+    );
+  }
+
+  /**
+   * Statements from `previous` to `current`, and back. Foreign keys go in a
+   * pass of their own, so tables can be created and dropped in any order:
+   * the ones to drop are removed first and the new ones are added last.
+   */
+  #diff(previous, current) {
+    const dropKeys = [];
+    const changes = [];
+    const drops = [];
+    const addKeys = [];
+    const tables = new Set([...Object.keys(previous), ...Object.keys(current)]);
+
+    tables.forEach((table) => {
+      const before = previous[table];
+      const after = current[table];
+
+      if (!before) {
+        changes.push({
+          up: this.#createTable(table, after),
+          down: `DROP TABLE ${this.#table(table)}`,
+        });
+        addKeys.push(...this.#foreignKeys(table, after));
+        return;
+      }
+
+      if (!after) {
+        dropKeys.push(...this.#foreignKeys(table, before, { drop: true }));
+        drops.push({
+          up: `DROP TABLE ${this.#table(table)}`,
+          down: this.#createTable(table, before),
+        });
+        return;
+      }
+
+      const columns = new Set([...Object.keys(before), ...Object.keys(after)]);
+      const alter = `ALTER TABLE ${this.#table(table)}`;
+
+      columns.forEach((column) => {
+        const was = before[column];
+        const is = after[column];
+
+        if (!was) {
+          changes.push({
+            up: `${alter} ADD COLUMN ${this.#column(column, is)}`,
+            down: `${alter} DROP COLUMN "${column}"`,
+          });
+        } else if (!is) {
+          drops.push({
+            up: `${alter} DROP COLUMN "${column}"`,
+            down: `${alter} ADD COLUMN ${this.#column(column, was)}`,
+          });
+        } else if (was.type !== is.type) {
+          changes.push({
+            up: this.#alterType(alter, column, is.type),
+            down: this.#alterType(alter, column, was.type),
+          });
+        }
+
+        if (JSON.stringify(was?.reference) !== JSON.stringify(is?.reference)) {
+          dropKeys.push(
+            ...this.#foreignKeys(table, { [column]: was }, { drop: true }),
+          );
+          addKeys.push(...this.#foreignKeys(table, { [column]: is }));
+        }
+      });
+    });
+
+    const steps = [...dropKeys, ...changes, ...drops, ...addKeys];
+
+    return {
+      up: steps.map((step) => step.up),
+      down: steps.map((step) => step.down).reverse(),
+    };
+  }
+
+  // By the key the type is registered under, `timestamp` and `date` share a name
+  #columnType(type) {
+    const types = this._dependencies.DataTypesModule?.types || {};
+    const [key] =
+      Object.entries(types).find(([, definition]) => definition === type) || [];
+
+    return COLUMN_TYPES[key] || 'jsonb';
+  }
+
+  #createTable(table, columns) {
+    const definitions = Object.entries(columns).map(
+      ([column, definition]) => `  ${this.#column(column, definition)}`,
+    );
+
+    return `CREATE TABLE ${this.#table(table)} (\n${definitions.join(',\n')}\n)`;
+  }
+
+  #column(column, { type, primaryKey }) {
+    return [`"${column}" ${type}`, primaryKey && 'PRIMARY KEY']
+      .filter(Boolean)
+      .join(' ');
+  }
+
+  // Add (or drop, with `drop`) steps of the foreign keys of `columns`
+  #foreignKeys(table, columns, { drop = false } = {}) {
+    return Object.entries(columns)
+      .filter(([, definition]) => definition?.reference)
+      .map(([column, { reference }]) => {
+        const alter = `ALTER TABLE ${this.#table(table)}`;
+        // Same name Postgres gives inline `REFERENCES`
+        const constraint = `"${table}_${column}_fkey"`;
+        const add = `${alter} ADD CONSTRAINT ${constraint} FOREIGN KEY ("${column}") REFERENCES ${this.#table(reference.table)} ("${reference.property}")`;
+        const remove = `${alter} DROP CONSTRAINT ${constraint}`;
+
+        return drop ? { up: remove, down: add } : { up: add, down: remove };
+      });
+  }
+
+  #alterType(alter, column, type) {
+    return `${alter} ALTER COLUMN "${column}" TYPE ${type} USING "${column}"::${type}`;
+  }
+
+  #table(table) {
+    return `"${this._schema}"."${table}"`;
+  }
+
+  #render(up, down) {
+    const queries = (statements) =>
+      statements
+        .map(
+          (sql) =>
+            `    await client.query(\`${sql.replace(/[`\\]|\$\{/g, (match) => `\\${match}`)}\`);`,
+        )
+        .join('\n');
+
+    return `/**
+ * Scaffolded from the models on ${new Date().toISOString()}. Review it before
+ * running it.
+ */
+module.exports = {
+  async up({ client }) {
+${queries(up)}
+  },
+
+  async down({ client }) {
+${queries(down)}
+  },
+};
+`;
+  }
+}
+
+module.exports = { SchemaScaffolder };
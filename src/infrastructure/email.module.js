@@ -1,3 +1,15 @@
+const AdapterUtil = require('../utils/adapter.util');
+const htmlToText = require('html-to-text');
+const { TemplateRenderer } = require('./email/template.renderer');
+const { CaptureTransport } = require('./email/capture.transport');
+const { SmtpTransport } = require('./email/smtp.transport');
+
+// Transports shipped with the SDK, selected with `providers.<name>.transport`
+const BUILT_IN_TRANSPORTS = {
+  capture: CaptureTransport,
+  smtp: SmtpTransport,
+};
+
 class EmailModule {
   constructor({ dependencies, dependencyInjector }) {
     /* Base Properties */
@@ -8,6 +20,11 @@ class EmailModule {
 
     /* Custom Properties */
     this._module = this._modules?.email || {};
+    this._settings = this._module?.settings || {};
+    this._renderer = new TemplateRenderer({
+      root: this._dependencies.root,
+      settings: this._settings.templates,
+    });
     this._adapterName = '';
     this._adapter = {};
     this._adapterInstance = {};
@@ -45,6 +62,11 @@ class EmailModule {
     try {
       this._moduleAdapters = require(`${this._dependencies.root}/src/adapters/email/index`);
     } catch (error) {
+      // Built-in transports do not need an adapters index
+      if (error.code === 'MODULE_NOT_FOUND') {
+        return;
+      }
+
       this._console.error(error, { namespace: this._namespace });
     }
   }
@@ -72,6 +94,24 @@ class EmailModule {
         return;
       }
 
+      // Only on request: a provider named `smtp` may have an app adapter
+      const BuiltInTransport = adapter?.transport
+        ? BUILT_IN_TRANSPORTS[adapter.transport]
+        : null;
+
+      if (adapter?.transport && !BuiltInTransport) {
+        throw new Error(`Unknown email transport "${adapter.transport}"`);
+      }
+
+      if (BuiltInTransport) {
+        this._adapterInstance = new BuiltInTransport({
+          dependencies: this._dependencies,
+          settings: adapter,
+        });
+
+        return this._adapterInstance;
+      }
+
       const AdapterClass = require(`${this._dependencies.root}/src/adapters/email/${adapterName}/${adapterName}.adapter`);
       this._adapterInstance = new AdapterClass(this._dependencies);
 
@@ -81,10 +121,147 @@ class EmailModule {
 
       return driver;
     } catch (error) {
-      this._console?.error?.(`Failed to load email adapter "${adapterName}"`, { namespace: this._namespace });
+      this._console?.error?.(`Failed to load email adapter "${adapterName}": ${error?.message}`, { namespace: this._namespace });
     }
   }
 
+  /**
+   * Sends one message.
+   *
+   * Besides the nodemailer message fields (`to`, `cc`, `bcc`, `replyTo`,
+   * `headers`...), it accepts:
+   *   - `template` + `data`: renders `<template>.html` inside the layout
+   *   - `layout`: layout name for this message, `false` for none
+   *   - `attachments`: `[{ filename, content | path, contentType? }]`
+   * `subject` is rendered with `data` too. When no `text` is given, the
+   * plain-text version comes from `<template>.txt` or from the HTML.
+   *
+   * @returns {Promise<Object>} What the transport returns, e.g. `{ messageId }`
+   */
+  async #send(message = {}) {
+    if (!this._settings.enabled) {
+      throw new Error('Email module is disabled');
+    }
+
+    return this.#deliver(this.#compose(message));
+  }
+
+  #compose({
+    template,
+    data = {},
+    layout,
+    subject,
+    html,
+    text,
+    attachments = [],
+    ...fields
+  }) {
+    if (!fields.to) {
+      throw new Error('Email message requires a recipient (`to`)');
+    }
+
+    attachments.forEach((attachment, index) => {
+      if (!attachment?.filename || (!attachment.content && !attachment.path)) {
+        throw new Error(
+          `Email attachment ${index} requires a filename and a content or path`,
+        );
+      }
+    });
+
+    const renderedHtml = template
+      ? this._renderer.render(template, data, { layout })
+      : html;
+    const renderedText =
+      text ??
+      (template && this._renderer.renderText(template, data)) ??
+      (renderedHtml
+        ? htmlToText.fromString(renderedHtml, { wordwrap: 130 })
+        : undefined);
+
+    return {
+      from: this._settings.from,
+      ...fields,
+      subject: subject
+        ? this._renderer.renderString(subject, data, { escape: false })
+        : subject,
+      html: renderedHtml,
+      text: renderedText,
+      attachments,
+    };
+  }
+
+  #deliver(message) {
+    // Built-in transports and adapters implementing `send`, or a nodemailer-like driver
+    if (typeof this._adapterInstance?.send === 'function') {
+      return this._adapterInstance.send(message);
+    }
+
+    if (typeof this._defaultAdapter?.sendMail === 'function') {
+      return this._defaultAdapter.sendMail(message);
+    }
+
+    throw new Error(
+      `Email adapter "${this._adapterName}" implements neither send() nor sendMail()`,
+    );
+  }
+
+  /**
+   * Sends several messages, `concurrency` at a time (default
+   * `settings.batch.concurrency` or 5). A failing message does not stop the
+   * others.
+   *
+   * @returns {Promise<Array<{ index, success, info?, error? }>>} In input order
+   */
+  async #sendBatch(messages = [], { concurrency } = {}) {
+    const limit = concurrency || this._settings.batch?.concurrency || 5;
+    const results = new Array(messages.length);
+    let next = 0;
+
+    const work = async () => {
+      while (next < messages.length) {
+        const index = next++;
+
+        try {
+          results[index] = {
+            index,
+            success: true,
+            info: await this.#send(messages[index]),
+          };
+        } catch (error) {
+          results[index] = { index, success: false, error };
+        }
+      }
+    };
+
+    await Promise.all(
+      Array.from({ length: Math.min(limit, messages.length) }, work),
+    );
+
+    return results;
+  }
+
+  async healthCheck() {
+    return AdapterUtil.health({
+      enabled: this._settings.enabled,
+      loaded: !!this._defaultAdapter,
+      name: this._adapterName,
+      adapter: this._adapterInstance,
+    });
+  }
+
+  /**
+   * Closes the transport. Called by Loom during graceful shutdown.
+   *
+   * @returns {Promise<boolean>} true when the adapter had something to close
+   */
+  async teardown() {
+    return AdapterUtil.teardown(this._adapterInstance, {
+      console: this._console,
+      namespace: this._namespace,
+      methods: ['teardown', 'close'],
+    });
+  }
+
   get client() {
     return this._defaultAdapter || {};
   }
@@ -97,8 +274,16 @@ class EmailModule {
         settings: this._adapter,
         adapter: this._adapterInstance,
       },
-      loadAdapter: this.loadAdapter
-    }
+      send: this.#send.bind(this),
+      sendBatch: this.#sendBatch.bind(this),
+      render: this._renderer.render.bind(this._renderer),
+      // Captured messages, when the capture transport is in use
+      capture:
+        this._adapterInstance instanceof CaptureTransport
+          ? this._adapterInstance
+          : null,
+      loadAdapter: this.loadAdapter.bind(this),
+    };
   }
 }
 
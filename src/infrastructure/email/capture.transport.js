@@ -0,0 +1,85 @@
+const fs = require('fs');
+const path = require('path');
+const { randomUUID } = require('crypto');
+
+/**
+ * Keeps sent messages instead of delivering them, so tests and local runs can
+ * assert on mail without an SMTP server.
+ *
+ * Messages stay in memory (the last `max`, default 100). With `directory`
+ * each one is also written as a JSON file.
+ */
+class CaptureTransport {
+  constructor({ dependencies, settings = {} }) {
+    /* Base Properties */
+    this._dependencies = dependencies;
+
+    /* Assigments */
+    this.name = 'capture';
+    this._max = settings.max || 100;
+    this._directory = settings.directory
+      ? path.resolve(dependencies.root || process.cwd(), settings.directory)
+      : null;
+    this._messages = [];
+  }
+
+  async send(message) {
+    const messageId = `<${randomUUID()}@capture.loom>`;
+    const captured = {
+      ...message,
+      messageId,
+      capturedAt: new Date().toISOString(),
+    };
+
+    this._messages.push(captured);
+
+    if (this._messages.length > this._max) {
+      this._messages.shift();
+    }
+
+    if (this._directory) {
+      await this.#writeToDisk(captured);
+    }
+
+    return {
+      messageId,
+      accepted: [message.to, message.cc, message.bcc].flat().filter(Boolean),
+      rejected: [],
+    };
+  }
+
+  async #writeToDisk(captured) {
+    await fs.promises.mkdir(this._directory, { recursive: true });
+
+    const attachments = (captured.attachments || []).map((attachment) =>
+      Buffer.isBuffer(attachment.content)
+        ? {
+            ...attachment,
+            content: attachment.content.toString('base64'),
+            encoding: 'base64',
+          }
+        : attachment,
+    );
+    const filename = `${Date.now()}-${captured.messageId.replace(/[<>@]/g, '_')}.json`;
+
+    await fs.promises.writeFile(
+      path.join(this._directory, filename),
+      JSON.stringify({ ...captured, attachments }, null, 2),
+    );
+  }
+
+  /** Captured messages, oldest first. */
+  get messages() {
+    return [...this._messages];
+  }
+
+  last() {
+    return this._messages[this._messages.length - 1] || null;
+  }
+
+  clear() {
+    this._messages = [];
+  }
+}
+
+module.exports = { CaptureTransport };
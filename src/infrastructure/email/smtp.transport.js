@@ -0,0 +1,39 @@
+/**
+ * Delivers messages through nodemailer. The provider settings, except
+ * `transport`, are nodemailer transport options (`host`, `port`, `auth`...).
+ */
+class SmtpTransport {
+  constructor({ dependencies, settings = {} }) {
+    /* Base Properties */
+    this._dependencies = dependencies;
+
+    /* Assigments */
+    this.name = 'smtp';
+
+    if (!this._dependencies.nodemailer) {
+      throw new Error(
+        'nodemailer is not available, install it with: npm i nodemailer',
+      );
+    }
+
+    const { transport, ...options } = settings;
+
+    this._transporter = this._dependencies.nodemailer.createTransport(options);
+  }
+
+  send(message) {
+    return this._transporter.sendMail(message);
+  }
+
+  async healthCheck() {
+    await this._transporter.verify();
+
+    return true;
+  }
+
+  close() {
+    this._transporter.close();
+  }
+}
+
+module.exports = { SmtpTransport };
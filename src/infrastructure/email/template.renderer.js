@@ -0,0 +1,119 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Renders email templates from `modules.email.settings.templates.path`
+ * (default `src/templates/email`).
+ *
+ * `{{ user.name }}` is replaced with the HTML-escaped value and `{{{ html }}}`
+ * with the raw value. The layout receives the rendered template as
+ * `{{{ body }}}` together with the same variables. An optional `<name>.txt`
+ * next to `<name>.html` is used as the plain-text version.
+ */
+class TemplateRenderer {
+  constructor({ root, settings = {} }) {
+    /* Assigments */
+    this._directory = path.resolve(
+      root || process.cwd(),
+      settings.path || 'src/templates/email',
+    );
+    this._layout = settings.layout;
+    // Templates are read again on every render while developing
+    this._isCacheEnabled =
+      settings.cache ?? process.env.NODE_ENV !== 'development';
+    this._cache = new Map();
+  }
+
+  /**
+   * @param {string} template - Template name, without extension
+   * @param {Object} [data] - Variables
+   * @param {Object} [options]
+   * @param {string|false} [options.layout] - Layout name, `false` for none
+   * @returns {string} HTML
+   */
+  render(template, data = {}, { layout = this._layout } = {}) {
+    const body = this.renderString(this.#read(`${template}.html`), data);
+
+    if (!layout) {
+      return body;
+    }
+
+    return this.renderString(this.#read(`${layout}.html`), { ...data, body });
+  }
+
+  /**
+   * Renders `<template>.txt` when it exists, otherwise returns null.
+   */
+  renderText(template, data = {}) {
+    const source = this.#read(`${template}.txt`, { isOptional: true });
+
+    return source === null
+      ? null
+      : this.renderString(source, data, { escape: false });
+  }
+
+  renderString(source, data = {}, { escape = true } = {}) {
+    return `${source}`
+      .replace(/\{\{\{\s*([\w$.]+)\s*\}\}\}/g, (_, key) =>
+        this.#stringify(this.#lookup(data, key)),
+      )
+      .replace(/\{\{\s*([\w$.]+)\s*\}\}/g, (_, key) => {
+        const value = this.#stringify(this.#lookup(data, key));
+
+        return escape ? this.#escape(value) : value;
+      });
+  }
+
+  #read(filename, { isOptional = false } = {}) {
+    const filePath = path.join(this._directory, filename);
+
+    if (this._isCacheEnabled && this._cache.has(filePath)) {
+      return this._cache.get(filePath);
+    }
+
+    let source = null;
+
+    try {
+      source = fs.readFileSync(filePath, 'utf8');
+    } catch (error) {
+      if (!isOptional || error.code !== 'ENOENT') {
+        throw new Error(
+          `Email template "${filename}" not found in ${this._directory}`,
+          {
+            cause: error,
+          },
+        );
+      }
+    }
+
+    if (this._isCacheEnabled) {
+      this._cache.set(filePath, source);
+    }
+
+    return source;
+  }
+
+  #lookup(data, key) {
+    return key
+      .split('.')
+      .reduce(
+        (value, segment) => (value == null ? value : value[segment]),
+        data,
+      );
+  }
+
+  #stringify(value) {
+    return value === undefined || value === null ? '' : `${value}`;
+  }
+
+  #escape(value) {
+    return value
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&#39;');
+  }
+}
+
+module.exports = { TemplateRenderer };
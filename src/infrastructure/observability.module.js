@@ -1,3 +1,5 @@
+const AdapterUtil = require('../utils/adapter.util');
+
 class ObservabilityModule {
   constructor({ dependencies, dependencyInjector }) {
     /* Base Properties */
@@ -71,6 +73,33 @@ class ObservabilityModule {
     }
   }
 
+  /**
+   * Reports the adapter status for the readiness probe.
+   * Adapters may implement an optional `healthCheck()`, see `AdapterUtil`.
+   *
+   * @returns {Promise<{status: string, adapter?: string}>}
+   */
+  async healthCheck() {
+    return AdapterUtil.health({
+      enabled: this._module?.settings?.enabled,
+      loaded: !!this._adapterInstance?.setup,
+      name: this._adapterName,
+      adapter: this._adapterInstance,
+    });
+  }
+
+  /**
+   * Releases the adapter resources. Called by Loom during graceful shutdown.
+   *
+   * @returns {Promise<boolean>} true when the adapter implements `teardown()`
+   */
+  async teardown() {
+    return AdapterUtil.teardown(this._adapterInstance, {
+      console: this._console,
+      namespace: this._namespace,
+    });
+  }
+
   get client() {
     return this._defaultAdapter || {};
   }
@@ -17,9 +17,18 @@ class Loom {
     this._workersModule = {};
     this._functionsModule = {};
     this._eventBrokerModule = {};
-    this._eventBrokerModule = {};
+    this._eventProducerModule = {};
+    this._eventConsumerModule = {};
     this._streamModule = {};
+    this._databaseModule = {};
+    this._storageModule = {};
+    this._pushModule = {};
+    this._observabilityModule = {};
+    this._emailModule = {};
+    this._lifecycleModule = {};
+    this._hotReloadModule = {};
     this._namespace = '[Loom]';
+    this._isShuttingDown = false;
   }
 
   async ignite() {
@@ -27,8 +36,13 @@ class Loom {
       console.log(` ${this._namespace}: Loading engine...`);
 
       await this.#setupCoreModules();
-      await this.#setupInfrastructureModules();
-      await this.#setupAdapterModules();
+      await this.#setupModules();
+
+      this.#setupServer();
+
+      this.#setupHotReload();
+
+      this.#serverLoadedTrigger();
 
       this.#setupProcessSignals();
 
@@ -44,71 +58,283 @@ class Loom {
   }
 
   #setupProcessSignals() {
-    const handleSignal = (signal) => {
-      this._dependenciesModule.core
-        .get()
-        .console.info(`Received ${signal}, terminating...`, {
-          namespace: this._namespace,
-        });
-
-      // Automatic Performance Reporting
-      if (this._utilitiesModule && this._utilitiesModule.performance) {
-        this._utilitiesModule.performance.onTerminate();
+    const handleSignal = async (signal) => {
+      if (this._isShuttingDown) {
+        this._dependenciesModule.core
+          .get()
+          .console.warning(`Received ${signal} again, forcing exit`, {
+            namespace: this._namespace,
+          });
+
+        process.exit(1);
       }
 
-      process.exit(0);
+      await this.#terminate(`Received ${signal}`);
     };
 
     process.on('SIGINT', () => handleSignal('SIGINT'));
     process.on('SIGTERM', () => handleSignal('SIGTERM'));
   }
 
-  async #setupCoreModules() {
-    await this.#setupDependencies();
+  /**
+   * Shuts down gracefully and exits. Available to the modules as
+   * `dependencies.shutdown(reason)`.
+   */
+  async #terminate(reason) {
+    this._dependenciesModule.core
+      .get()
+      .console.info(`${reason}, terminating...`, {
+        namespace: this._namespace,
+      });
+
+    await this.shutdown();
+
+    // Automatic Performance Reporting
+    if (this._utilitiesModule && this._utilitiesModule.performance) {
+      this._utilitiesModule.performance.onTerminate();
+    }
 
-    this.#setupConsole();
+    process.exit(0);
+  }
 
-    this.#setupUtilities();
+  /**
+   * Runs the graceful shutdown sequence.
+   *
+   * Phases run one after another and never abort the sequence: a failing
+   * phase is logged and the next one still runs.
+   *   1. http           -> stop accepting connections and drain active requests
+   *   2. workers        -> stop every WorkersModule instance
+   *   3. functions      -> clear the timers held by FunctionsModule
+   *   4. websocket      -> close the broker server and the consumer client
+   *   5. modules        -> teardown() application modules in reverse boot order
+   *   6. infrastructure -> teardown() adapters in reverse boot order
+   *
+   * The drain deadline is read from `server.shutdownTimeout` (ms, default 10000).
+   */
+  async shutdown() {
+    if (this._isShuttingDown) {
+      return;
+    }
 
-    this.#setupSettings();
+    this._isShuttingDown = true;
 
-    this.#setupDataTypes();
+    const dependencies = this._dependenciesModule.core.get();
+    const timeout = +dependencies?.config?.server?.shutdownTimeout || 10000;
+
+    this._apiModule.markAsStopping?.();
+    this._hotReloadModule.stop?.();
+    dependencies?.eventBus?.bus?.emit?.('server::stopping');
+
+    await this.#runShutdownPhase('http', async () => {
+      const summary = await this.#drainHttpServer(timeout);
+
+      // Shared rate limit stores may hold connections of their own
+      this._utilitiesModule.rateLimit?.close?.();
+
+      return summary;
+    });
+
+    await this.#runShutdownPhase('workers', async () => {
+      if (typeof this._workersModule.stopAll !== 'function') {
+        return 'module not loaded';
+      }
+
+      const { stopped, failed } = await this._workersModule.stopAll();
+
+      return `${stopped} instance(s) stopped, ${failed} failed`;
+    });
+
+    await this.#runShutdownPhase('functions', () => {
+      if (typeof this._functionsModule.stop !== 'function') {
+        return 'module not loaded';
+      }
+
+      const cleared = this._functionsModule.stop();
+
+      return `${cleared} timer(s) cleared`;
+    });
+
+    await this.#runShutdownPhase('websocket', () => this.#closeWebSockets());
+
+    await this.#runShutdownPhase('modules', async () => {
+      const tornDown = (await this._lifecycleModule.teardown?.()) || [];
+
+      return tornDown.length
+        ? `${tornDown.join(', ')} torn down`
+        : 'no module to tear down';
+    });
+
+    await this.#runShutdownPhase('infrastructure', () =>
+      this.#teardownInfrastructure(),
+    );
+  }
+
+  async #runShutdownPhase(name, phase) {
+    const startedAt = Date.now();
+
+    try {
+      const summary = await phase();
+
+      this._consoleModule.info(
+        `Shutdown phase "${name}": ${summary} (${Date.now() - startedAt}ms)`,
+        { namespace: this._namespace },
+      );
+    } catch (error) {
+      this._consoleModule.error(
+        `Shutdown phase "${name}" failed: ${error?.message} (${Date.now() - startedAt}ms)`,
+        { namespace: this._namespace },
+      );
+    }
+  }
+
+  #drainHttpServer(timeout) {
+    const httpServer = this._dependenciesModule.core.get().httpServer;
+
+    if (!httpServer?.listening) {
+      return 'server was not listening';
+    }
+
+    // SSE streams never end on their own, close them before draining
+    const closedStreams = this._utilitiesModule.sse?.closeAll?.() || 0;
+
+    return new Promise((resolve) => {
+      let isSettled = false;
+
+      const settle = (summary) => {
+        if (isSettled) return;
+
+        isSettled = true;
+        clearTimeout(deadline);
+        clearInterval(idleSweep);
+        resolve(`${summary}, ${closedStreams} SSE stream(s) closed`);
+      };
+
+      const deadline = setTimeout(() => {
+        httpServer.closeAllConnections?.();
+        settle(
+          `deadline of ${timeout}ms reached, remaining connections closed`,
+        );
+      }, timeout);
+
+      // Keep-alive sockets become idle once their request finishes
+      const idleSweep = setInterval(
+        () => httpServer.closeIdleConnections?.(),
+        250,
+      );
+
+      httpServer.close(() => settle('all active requests drained'));
+      httpServer.closeIdleConnections?.();
+    });
   }
 
-  async #setupInfrastructureModules() {
-    await this.#setupDatabase();
+  async #closeWebSockets() {
+    const dependencies = this._dependenciesModule.core.get();
+    const webSocketServer = dependencies.webSocketServer;
+    const consumer = this._eventConsumerModule?.producer;
+    const closed = [];
 
-    await this.#setupStorage();
+    if (typeof webSocketServer?.close === 'function') {
+      // socket.io also tries to close the (already closed) HTTP server; ignore that error
+      await new Promise((resolve) => webSocketServer.close(() => resolve()));
+      closed.push('broker server');
+    }
 
-    await this.#setupPushNotifications();
+    if (typeof consumer?.disconnect === 'function') {
+      consumer.disconnect();
+      closed.push('consumer client');
+    }
 
-    await this.#setupObservability();
+    return closed.length ? `closed ${closed.join(', ')}` : 'nothing to close';
   }
 
-  async #setupAdapterModules() {
-    this.#setupEventBus();
+  async #teardownInfrastructure() {
+    // Reverse boot order
+    const modules = [
+      this._observabilityModule,
+      this._emailModule,
+      this._pushModule,
+      this._storageModule,
+      this._databaseModule,
+    ];
+    const tornDown = [];
+
+    for (const module of modules) {
+      if (typeof module?.teardown !== 'function') {
+        continue;
+      }
+
+      const hasAdapter = await module.teardown();
+
+      if (hasAdapter) {
+        tornDown.push(module.constructor.name);
+      }
+    }
 
-    this.#setupModels();
+    return tornDown.length
+      ? `${tornDown.join(', ')} torn down`
+      : 'no adapter to tear down';
+  }
 
-    this.#setupServices();
+  async #setupCoreModules() {
+    await this.#setupDependencies();
 
-    this.#setupStreams();
+    this.#setupConsole();
 
-    this.#setupFunctions();
+    this.#setupUtilities();
 
-    this.#setupWorkers();
+    this.#setupSettings();
 
-    this.#setupApi();
+    this.#setupDataTypes();
 
-    this.#setupEventBroker();
+    this.#setupLifecycle();
+  }
 
-    this.#setupEventProducer();
+  /**
+   * Boots infrastructure, application modules and adapters in dependency
+   * order. Built-in modules keep their sequence; application modules boot
+   * after the infrastructure unless their `dependsOn` asks for more.
+   */
+  async #setupModules() {
+    const infrastructure = [
+      ['database', () => this.#setupDatabase()],
+      ['storage', () => this.#setupStorage()],
+      ['push', () => this.#setupPushNotifications()],
+      ['email', () => this.#setupEmail()],
+      ['observability', () => this.#setupObservability()],
+    ];
+    const adapters = [
+      ['eventBus', () => this.#setupEventBus()],
+      ['models', () => this.#setupModels()],
+      ['services', () => this.#setupServices()],
+      ['streams', () => this.#setupStreams()],
+      ['functions', () => this.#setupFunctions()],
+      ['workers', () => this.#setupWorkers()],
+      ['api', () => this.#setupApi()],
+      ['broker', () => this.#setupEventBroker()],
+      ['producer', () => this.#setupEventProducer()],
+      ['consumer', () => this.#setupEventConsumer()],
+    ];
+
+    this.#addBuiltInModules(infrastructure);
+    this._lifecycleModule.loadApplicationModules(this._args.modules, {
+      reserved: adapters.map(([name]) => name),
+    });
+    this.#addBuiltInModules(adapters, 'observability');
 
-    this.#setupEventConsumer();
+    await this._lifecycleModule.boot();
+  }
 
-    this.#setupServer();
+  // Each built-in module depends on the previous one, as in the original sequence
+  #addBuiltInModules(modules, previous) {
+    modules.forEach(([name, setup], index) => {
+      const dependsOn = index ? modules[index - 1][0] : previous;
 
-    this.#serverLoadedTrigger();
+      this._lifecycleModule.add({
+        name,
+        dependsOn: dependsOn ? [dependsOn] : [],
+        setup,
+      });
+    });
   }
 
   async #setupDependencies() {
@@ -124,6 +350,10 @@ class Loom {
       this._dependenciesModule,
       'DependenciesModule',
     );
+    this._dependenciesModule.core.add(
+      (reason = 'Shutdown requested') => this.#terminate(reason),
+      'shutdown',
+    );
   }
 
   #setupUtilities() {
@@ -205,6 +435,25 @@ class Loom {
     this._dependenciesModule.core.add(this._apiModule, 'ApiModule');
   }
 
+  #setupLifecycle() {
+    const { LifecycleModule } = require('./core/lifecycle.module');
+    this._lifecycleModule = new LifecycleModule(
+      this._dependenciesModule.core.get(),
+    );
+
+    this._dependenciesModule.core.add(this._lifecycleModule, 'LifecycleModule');
+  }
+
+  #setupHotReload() {
+    const { HotReloadModule } = require('./core/hot-reload.module');
+    this._hotReloadModule = new HotReloadModule(
+      this._dependenciesModule.core.get(),
+    );
+    this._hotReloadModule.setup();
+
+    this._dependenciesModule.core.add(this._hotReloadModule, 'HotReloadModule');
+  }
+
   #setupFunctions() {
     const {
       FunctionsModule,
@@ -232,6 +481,10 @@ class Loom {
 
     this._dependenciesModule.core.add(this._modelsModule, 'ModelsModule');
     this._dependenciesModule.core.add(this._modelsModule.models, 'models');
+    this._dependenciesModule.core.add(
+      this._modelsModule.repositories,
+      'repositories',
+    );
   }
 
   #setupEventBroker() {
@@ -253,14 +506,14 @@ class Loom {
     const {
       EventProducerModule,
     } = require('./adapters/events/producer.module');
-    this._eventBrokerModule = new EventProducerModule(
+    this._eventProducerModule = new EventProducerModule(
       this._dependenciesModule.core.get(),
     );
 
-    this._eventBrokerModule.setup();
+    this._eventProducerModule.setup();
 
     this._dependenciesModule.core.add(
-      this._eventBrokerModule,
+      this._eventProducerModule,
       'ProducerModule',
     );
   }
@@ -269,13 +522,13 @@ class Loom {
     const {
       EventConsumerModule,
     } = require('./adapters/events/consumer.module');
-    this._eventBrokerModule = new EventConsumerModule(
+    this._eventConsumerModule = new EventConsumerModule(
       this._dependenciesModule.core.get(),
     );
-    this._eventBrokerModule.setup();
+    this._eventConsumerModule.setup();
 
     this._dependenciesModule.core.add(
-      this._eventBrokerModule,
+      this._eventConsumerModule,
       'ConsumerModule',
     );
   }
@@ -289,6 +542,7 @@ class Loom {
     });
 
     await module.setup();
+    this._databaseModule = module;
 
     this._dependenciesModule.core.add(module, 'DatabaseModule');
     this._dependenciesModule.core.add(module.api, 'database');
@@ -305,6 +559,7 @@ class Loom {
     });
 
     module.setup();
+    this._storageModule = module;
 
     this._dependenciesModule.core.add(module, 'StorageModule');
     this._dependenciesModule.core.add(module.api, 'storage');
@@ -321,6 +576,7 @@ class Loom {
     });
 
     await module.setup();
+    this._pushModule = module;
 
     this._dependenciesModule.core.add(module.push, 'PushNotificationModule');
     this._dependenciesModule.core.add(module.api, 'pushNotification');
@@ -328,6 +584,23 @@ class Loom {
     return module;
   }
 
+  async #setupEmail() {
+    const { EmailModule } = require('./infrastructure/email.module');
+
+    const module = new EmailModule({
+      dependencies: this._dependenciesModule.core.get(),
+      dependencyInjector: this._dependenciesModule,
+    });
+
+    await module.setup();
+    this._emailModule = module;
+
+    this._dependenciesModule.core.add(module, 'EmailModule');
+    this._dependenciesModule.core.add(module.api, 'email');
+
+    return module;
+  }
+
   async #setupObservability() {
     const {
       ObservabilityModule,
@@ -339,6 +612,7 @@ class Loom {
     });
 
     await module.setup();
+    this._observabilityModule = module;
 
     this._dependenciesModule.core.add(module, 'ObservabilityModule');
     this._dependenciesModule.core.add(module.api, 'observability');
@@ -353,6 +627,8 @@ class Loom {
   #serverLoadedTrigger() {
     const dependencies = this._dependenciesModule.core.get() || {};
 
+    this._apiModule.markAsLoaded();
+
     if (dependencies?.eventBus?.bus?.emit) {
       dependencies?.eventBus?.bus?.emit('server::loaded');
     }
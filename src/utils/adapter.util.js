@@ -0,0 +1,93 @@
+/**
+ * Readiness and shutdown of the infrastructure adapters, shared by the
+ * infrastructure modules so they all report and release them the same way.
+ *
+ * Adapters may implement an optional `healthCheck()` returning a boolean or an
+ * object with a `status` ('up' | 'down') and any extra details, and an
+ * optional `teardown()`.
+ */
+class AdapterUtil {
+  /**
+   * Status of a module adapter for the readiness probe.
+   *
+   * @param {Object} params
+   * @param {boolean} params.enabled - Module enabled in the settings
+   * @param {boolean} params.loaded - Adapter loaded at setup
+   * @param {string} params.name - Adapter name
+   * @param {Object} [params.adapter] - Adapter instance
+   * @returns {Promise<{status: string, adapter?: string}>}
+   */
+  static async health({ enabled, loaded, name, adapter }) {
+    if (!enabled) {
+      return { status: 'disabled' };
+    }
+
+    if (!loaded) {
+      return { status: 'down', adapter: name, message: 'Adapter not loaded' };
+    }
+
+    return { ...(await AdapterUtil.check(adapter)), adapter: name };
+  }
+
+  /**
+   * Runs the adapter `healthCheck()`. A check that throws reports `down`.
+   *
+   * @returns {Promise<{status: string}>}
+   */
+  static async check(adapter) {
+    if (typeof adapter?.healthCheck !== 'function') {
+      return { status: 'up' };
+    }
+
+    try {
+      const result = await adapter.healthCheck();
+
+      if (typeof result === 'boolean') {
+        return { status: result ? 'up' : 'down' };
+      }
+
+      return { status: 'up', ...result };
+    } catch (error) {
+      return { status: 'down', message: error?.message };
+    }
+  }
+
+  /**
+   * Calls the first of `methods` the adapter implements. A failure is logged,
+   * never thrown, so the rest of the shutdown still runs.
+   *
+   * @param {Object} adapter
+   * @param {Object} options
+   * @param {Object} options.console
+   * @param {string} options.namespace
+   * @param {string} [options.label] - Name used in the logs
+   * @param {string[]} [options.methods] - Release methods, by preference
+   * @returns {Promise<boolean>} true when the adapter had something to release
+   */
+  static async teardown(
+    adapter,
+    { console, namespace, label = 'Adapter', methods = ['teardown'] },
+  ) {
+    const method = methods.find(
+      (name) => typeof adapter?.[name] === 'function',
+    );
+
+    if (!method) {
+      return false;
+    }
+
+    try {
+      await adapter[method]();
+
+      console.success(`${label} torn down`, { namespace });
+    } catch (error) {
+      console.error(`${label} teardown failed: ${error?.message}`, {
+        namespace,
+      });
+    }
+
+    return true;
+  }
+}
+
+module.exports = AdapterUtil;
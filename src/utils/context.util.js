@@ -0,0 +1,80 @@
+const { AsyncLocalStorage } = require('async_hooks');
+const { randomUUID } = require('crypto');
+
+// Single store per process: the console, events and workers read the same one
+const storage = new AsyncLocalStorage();
+
+class ContextUtil {
+  constructor(dependencies) {
+    /* Base Properties */
+    this._dependencies = dependencies;
+    this._console = this._dependencies.console;
+
+    /* Assigments */
+    this._namespace = '[Loom]::[Utils]::[Context]';
+  }
+
+  /**
+   * Runs `callback` with `store` as the active context. Everything awaited or
+   * scheduled inside the callback (timers, promises, emitters) sees the same store.
+   *
+   * @param {Object} store - Context values, e.g. `{ requestId }`
+   * @param {Function} callback
+   * @returns {*} Whatever the callback returns
+   */
+  static run(store, callback) {
+    return storage.run({ ...(store || {}) }, callback);
+  }
+
+  /**
+   * Returns the active context or `undefined` when called outside of `run`.
+   */
+  static get() {
+    return storage.getStore();
+  }
+
+  /**
+   * Adds values to the active context. No-op outside of `run`.
+   */
+  static set(values = {}) {
+    const store = storage.getStore();
+
+    if (!store) {
+      return false;
+    }
+
+    Object.assign(store, values);
+
+    return true;
+  }
+
+  static get requestId() {
+    return storage.getStore()?.requestId;
+  }
+
+  /**
+   * Accepts an incoming request id only if it is safe to log and echo back in
+   * a header, otherwise generates a new one.
+   */
+  static resolveRequestId(candidate) {
+    if (typeof candidate === 'string' && /^[\w\-.:@]{1,128}$/.test(candidate)) {
+      return candidate;
+    }
+
+    return randomUUID();
+  }
+
+  get context() {
+    return {
+      run: ContextUtil.run,
+      get: ContextUtil.get,
+      set: ContextUtil.set,
+      resolveRequestId: ContextUtil.resolveRequestId,
+      get requestId() {
+        return ContextUtil.requestId;
+      },
+    };
+  }
+}
+
+module.exports = ContextUtil;
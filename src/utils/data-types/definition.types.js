@@ -1,66 +1,82 @@
 module.exports = {
   string: {
     name: 'string',
+    schema: { type: 'string' },
     default: '',
   },
   number: {
     name: 'number',
+    schema: { type: 'number' },
     default: 0,
   },
   array: {
     name: 'array',
+    schema: { type: 'array' },
     default: [],
   },
   object: {
     name: 'object',
+    schema: { type: 'object' },
     default: {},
   },
   timestamp: {
     name: 'date',
+    schema: { type: ['string', 'number'] },
     default: new Date().getTime() + '',
   },
   date: {
     name: 'date',
+    schema: { type: 'string', format: 'date-time' },
     default: new Date(),
   },
   boolean: {
     name: 'boolean',
+    schema: { type: 'boolean' },
     default: false,
   },
   serial: {
     name: 'serial',
+    schema: { type: ['integer', 'string'] },
     default: '',
   },
   bigserial: {
     name: 'bigserial',
+    schema: { type: ['integer', 'string'] },
     default: '',
   },
   macaddr: {
     name: 'macaddr',
+    schema: { type: 'string' },
     default: '',
   },
   inet: {
     name: 'inet',
+    schema: { type: 'string' },
     default: '0.0.0.0',
   },
   tsquery: {
     name: 'tsquery',
+    schema: { type: 'string' },
     default: '',
   },
   tsvector: {
     name: 'tsvector',
+    schema: { type: 'string' },
     default: '',
   },
   xml: {
     name: 'xml',
+    schema: { type: 'string' },
     default: '',
   },
   point: {
     name: 'point',
+    schema: { type: 'object' },
     default: { lat: 0, lang: 0 },
   },
   location: {
     name: 'location',
+    schema: { type: 'object' },
     default: {
       continent: '',
       country: '',
@@ -73,6 +89,7 @@ module.exports = {
   },
   address: {
     name: 'address',
+    schema: { type: 'object' },
     default: {
       street_address: '',
       extended_address: '',
@@ -90,6 +107,13 @@ module.exports = {
   },
   log: {
     name: 'log',
+    schema: {
+      type: 'object',
+      properties: {
+        user: { type: 'object' },
+        timestamp: { type: ['string', 'number'] },
+      },
+    },
     default: {
       user: { id: '' },
       timestamp: ''
@@ -97,6 +121,7 @@ module.exports = {
   },
   nullableLog: {
     name: 'nullableLog',
+    schema: { type: 'object', nullable: true },
     default: null
   }
 };
@@ -0,0 +1,19 @@
+/**
+ * Raised by the dependency container when a registration cannot be resolved:
+ * it is missing, circular, scoped outside of a scope, or its factory failed.
+ *
+ * `requester` is the registration that asked for it, when there is one, and
+ * `path` the chain of registrations being resolved, e.g. `['orders', 'billing']`.
+ */
+class DependencyError extends Error {
+  constructor(message, { dependency, requester, path = [], cause } = {}) {
+    super(message, cause ? { cause } : undefined);
+
+    this.name = this.constructor.name;
+    this.dependency = dependency;
+    this.requester = requester ?? null;
+    this.path = path;
+  }
+}
+
+module.exports = { DependencyError };
@@ -0,0 +1,98 @@
+/**
+ * Base class for errors that map to an HTTP response.
+ *
+ * Throw any of these from a route, service or middleware and the ApiModule
+ * error handler answers with the standard `{ status, success, message, result }`
+ * envelope, using `status` and `result` from the error.
+ */
+class HttpError extends Error {
+  constructor(message, { status, result, cause } = {}) {
+    super(message, cause ? { cause } : undefined);
+
+    this.name = this.constructor.name;
+    this.status = status || 500;
+    this.result = result ?? null;
+    // Client errors are safe to show, server errors keep their message private
+    this.expose = this.status < 500;
+  }
+}
+
+class BadRequestError extends HttpError {
+  constructor(message = 'Bad request', options = {}) {
+    super(message, { ...options, status: 400 });
+  }
+}
+
+/**
+ * Invalid input. `errors` is the list of field errors returned in `result`,
+ * e.g. `[{ field: 'email', message: 'is required' }]`.
+ */
+class ValidationError extends HttpError {
+  constructor(message = 'Validation failed', errors = [], options = {}) {
+    super(message, { ...options, status: 400, result: errors });
+
+    this.errors = errors;
+  }
+}
+
+class UnauthorizedError extends HttpError {
+  constructor(message = 'Unauthorized', options = {}) {
+    super(message, { ...options, status: 401 });
+  }
+}
+
+class ForbiddenError extends HttpError {
+  constructor(message = 'Forbidden', options = {}) {
+    super(message, { ...options, status: 403 });
+  }
+}
+
+class NotFoundError extends HttpError {
+  constructor(message = 'Resource not found', options = {}) {
+    super(message, { ...options, status: 404 });
+  }
+}
+
+class ConflictError extends HttpError {
+  constructor(message = 'Conflict', options = {}) {
+    super(message, { ...options, status: 409 });
+  }
+}
+
+class UnprocessableEntityError extends HttpError {
+  constructor(message = 'Unprocessable entity', options = {}) {
+    super(message, { ...options, status: 422 });
+  }
+}
+
+class TooManyRequestsError extends HttpError {
+  constructor(message = 'Too many requests', options = {}) {
+    super(message, { ...options, status: 429 });
+  }
+}
+
+class InternalServerError extends HttpError {
+  constructor(message = 'Internal server error', options = {}) {
+    super(message, { ...options, status: 500 });
+  }
+}
+
+class ServiceUnavailableError extends HttpError {
+  constructor(message = 'Service unavailable', options = {}) {
+    super(message, { ...options, status: 503 });
+  }
+}
+
+module.exports = {
+  HttpError,
+  BadRequestError,
+  ValidationError,
+  UnauthorizedError,
+  ForbiddenError,
+  NotFoundError,
+  ConflictError,
+  UnprocessableEntityError,
+  TooManyRequestsError,
+  InternalServerError,
+  ServiceUnavailableError,
+};
@@ -1,8 +1,9 @@
+const ContextUtil = require('./context.util');
+
 class EventUtil {
   constructor(dependencies) {
     this._dependencies = dependencies;
     this._utilities = this._dependencies.utilities;
-    this._websocketServer = this._dependencies.webSocketServer;
   }
 
   /**
@@ -10,7 +11,8 @@ class EventUtil {
    * @param {*} params
    */
   #producerEmitToTopics({ settings, payload }) {
-    this._websocketServer = this._dependencies.webSocketServer;
+    // Read on use: utilities are built before the broker creates the server
+    const websocketServer = this._dependencies.webSocketServer;
 
     if (!payload || !payload.context) {
       return this._utilities.io.response.error();
@@ -23,15 +25,25 @@ class EventUtil {
     for (const topic of payload.context.topics) {
       console.log(`${settings.name + payload.command}[${topic}]`);
 
-      if (this._websocketServer) {
-        this._websocketServer
+      if (websocketServer) {
+        websocketServer
           .to(topic)
           .emit(settings.name + payload.command, payload);
       }
     }
   }
 
+  /**
+   * Emits the payload stamping the active request id in `payload.context`,
+   * so the consumer can restore it on the receiving side.
+   */
   #producerEmit({ websocketServer, settings, payload }) {
+    const requestId = ContextUtil.requestId;
+
+    if (requestId && payload?.context && !payload.context.requestId) {
+      payload.context.requestId = requestId;
+    }
+
     this.#producerEmitToTopics({ websocketServer, settings, payload });
   }
 
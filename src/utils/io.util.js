@@ -30,13 +30,13 @@ class IOUtil {
     return params;
   }
 
-  #throwError(message, { status } = {}) {
+  #throwError(message, { status, result } = {}) {
     if (message) {
       return {
         status: status || 500,
         success: false,
         message,
-        result: null,
+        result: result ?? null,
       };
     }
 
@@ -44,7 +44,7 @@ class IOUtil {
       status: status || 500,
       success: false,
       message: 'Something was wrong while you make this action',
-      result: null,
+      result: result ?? null,
     };
   }
 
@@ -1,4 +1,8 @@
-const { Property } = require('./property.model');
+const {
+  Property,
+  SimpleProperty,
+  ComplexProperty,
+} = require('./property.model');
 
 /**
  * @swagger
@@ -117,12 +121,183 @@ class ModelBase {
     });
     this.deleted = new Property({ value: args.deleted, type: this.types.nullableLog });
 
-    this.status = new Property({ value: args.status || statuses.active, type: this.types.object });
+    this.status = new Property({
+      value: args.status || statuses.active,
+      type: this.types.object,
+      enum: Object.values(statuses),
+    });
 
     this.metadata = new Property({ value: args.metadata, type: this.types.object });
     this.context = new Property({ value: args.context, type: this.types.object });
   }
 
+  /**
+   * Checks every property against its data type, `required` and `enum`.
+   * Properties typed with a registered model are validated as models.
+   *
+   * @param {Object} [options]
+   * @param {string} [options.path=''] - Prefix for the reported field names
+   * @returns {Array<{ field: string, message: string }>} Empty when valid
+   */
+  validate({ path = '' } = {}) {
+    const errors = [];
+
+    this.#properties().forEach(([name, property]) => {
+      const field = path ? `${path}.${name}` : name;
+      // The raw value, before the type default applies
+      const value = property._value;
+
+      if (value === undefined || value === null || value === '') {
+        if (property.required) {
+          errors.push({ field, message: 'is required' });
+        }
+        return;
+      }
+
+      if (this.#modelOf(property)) {
+        const nested = this.#nestedOf(property);
+
+        if (!nested) {
+          errors.push({ field, message: 'must be of type object' });
+          return;
+        }
+
+        errors.push(...nested.validate({ path: field }));
+        return;
+      }
+
+      if (property._type?.schema) {
+        errors.push(
+          ...this.#utilities.validator.schema.validate(
+            value instanceof Date ? value.toISOString() : value,
+            property._type.schema,
+            { path: field },
+          ),
+        );
+      }
+
+      if (property.enum && !this.#isAllowed(value, property.enum)) {
+        const allowed = property.enum.map((item) => item?.name ?? item);
+
+        errors.push({
+          field,
+          message: `must be one of: ${allowed.join(', ')}`,
+        });
+      }
+    });
+
+    return errors;
+  }
+
+  /**
+   * Plain object with the values of the properties, nested models included.
+   *
+   * @param {Object} [options]
+   * @param {string[]} [options.fields] - Projection, e.g. `['id', 'owner.name']`
+   */
+  toJSON({ fields } = {}) {
+    return this.#project(this.#serialize({ isDTO: false }), fields);
+  }
+
+  /**
+   * Same as `toJSON()`, without the properties declared `hidden`.
+   *
+   * @param {Object} [options]
+   * @param {string[]} [options.fields] - Projection, e.g. `['id', 'owner.name']`
+   */
+  toDTO({ fields } = {}) {
+    return this.#project(this.#serialize({ isDTO: true }), fields);
+  }
+
+  #properties() {
+    return Object.entries(this).filter(
+      ([, property]) =>
+        property instanceof SimpleProperty ||
+        property instanceof ComplexProperty,
+    );
+  }
+
+  #modelOf(property) {
+    const instance =
+      property._value instanceof ModelBase
+        ? property._value
+        : this.types?.[property._type?.name]?.default;
+
+    return instance instanceof ModelBase ? instance.constructor : null;
+  }
+
+  // The value as a model instance, when the type is a registered model
+  #nestedOf(property) {
+    const value =
+      property instanceof ComplexProperty ? property.model : property._value;
+    const Model = this.#modelOf(property);
+
+    if (value instanceof ModelBase) {
+      return value;
+    }
+
+    const isObject =
+      value && typeof value === 'object' && !Array.isArray(value);
+
+    return Model && isObject ? new Model(value, this.#dependencies) : null;
+  }
+
+  // Objects in `values` match by name, as the statuses do
+  #isAllowed(value, values) {
+    return values.some((allowed) =>
+      allowed && typeof allowed === 'object'
+        ? allowed.name === value?.name
+        : allowed === value,
+    );
+  }
+
+  #serialize({ isDTO }) {
+    return Object.fromEntries(
+      this.#properties()
+        .filter(([, property]) => !(isDTO && property.hidden))
+        .map(([name, property]) => {
+          const nested = this.#nestedOf(property);
+
+          if (nested) {
+            return [name, isDTO ? nested.toDTO() : nested.toJSON()];
+          }
+
+          return [name, property.value];
+        }),
+    );
+  }
+
+  #project(value, fields) {
+    if (!fields?.length || !value || typeof value !== 'object') {
+      return value;
+    }
+
+    if (Array.isArray(value)) {
+      return value.map((item) => this.#project(item, fields));
+    }
+
+    // key -> nested fields, or null for the whole value
+    const projection = new Map();
+
+    fields.forEach((field) => {
+      const [key, ...rest] = field.split('.');
+      const nested = projection.get(key);
+
+      projection.set(
+        key,
+        !rest.length || nested === null
+          ? null
+          : [...(nested || []), rest.join('.')],
+      );
+    });
+
+    return Object.fromEntries(
+      [...projection]
+        .filter(([key]) => key in value)
+        .map(([key, nested]) => [key, this.#project(value[key], nested)]),
+    );
+  }
+
   setBaseProperties(baseProperties) {
     this.id = baseProperties.id;
     this.created = baseProperties.created;
@@ -1,9 +1,26 @@
 const path = require('path');
 
+/**
+ * Metadata every property accepts, besides `value` and `type`:
+ * `isPK`, `reference` ({ table, property }), `required`, `enum` (allowed
+ * values; objects match by `name`) and `hidden` (left out of `toDTO()`).
+ */
+const assignMetadata = (
+  property,
+  { isPK, reference, required, enum: values, hidden },
+) => {
+  property.isPK = !!isPK;
+  property.reference = reference;
+  property.required = !!required;
+  property.enum = values;
+  property.hidden = !!hidden;
+};
+
 class SimpleProperty {
-  constructor({ value, type }) {
+  constructor({ value, type, ...metadata }) {
     this._value = value;
     this._type = type;
+    assignMetadata(this, metadata);
   }
 
   get value() {
@@ -21,15 +38,19 @@ class SimpleProperty {
 }
 
 class ComplexProperty {
-  constructor({ value, model, type, dependencies }) {
-    const typeDef = dependencies.DataTypesModule.getType(type.name);
-
-    this._value = value ? new model(value, dependencies) : typeDef.default;
+  constructor({ value, model, type, dependencies, ...metadata }) {
+    // Without a value the type default applies on read, as in SimpleProperty
+    this._value = value ? new model(value, dependencies) : undefined;
     this._type = type;
+    assignMetadata(this, metadata);
+  }
+
+  get model() {
+    return this._value ?? this._type.default;
   }
 
   get value() {
-    return this._value?.get ?? '';
+    return this.model?.get ?? '';
   }
 
   set value(newValue) {
@@ -41,15 +62,15 @@ class ComplexProperty {
   }
 
   setBaseProperties(baseProperties) {
-    this._value.setBaseProperties(baseProperties);
+    this.model.setBaseProperties(baseProperties);
     return this;
   }
 }
 
 class Property {
-  constructor({ value, type, dependencies }) {
+  constructor({ value, type, dependencies, ...metadata }) {
     if (!dependencies) {
-      return new SimpleProperty({ value, type });
+      return new SimpleProperty({ value, type, ...metadata });
     }
 
     var types = dependencies.DataTypesModule.types;
@@ -57,7 +78,13 @@ class Property {
     var complexType = types[type.name]?.default ?? {};
 
     if (typeof type === 'function' || complexType) {
-      return new ComplexProperty({ value, model: complexType.constructor, type: typeModel, dependencies });
+      return new ComplexProperty({
+        value,
+        model: complexType.constructor,
+        type: typeModel,
+        dependencies,
+        ...metadata,
+      });
     } else {
       this._value = value;
       this._type = type;
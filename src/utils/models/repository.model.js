@@ -0,0 +1,215 @@
+const ContextUtil = require('../context.util');
+const ModelBase = require('./base.model');
+const { SimpleProperty, ComplexProperty } = require('./property.model');
+
+/**
+ * CRUD over a `ModelBase` model, on the default database connection.
+ *
+ * Records are built through the model, so its defaults apply, and stored by
+ * the database adapter, which implements:
+ *
+ *   insert({ table, primaryKey, record, transaction })             -> record
+ *   findById({ table, primaryKey, id, transaction })               -> record | null
+ *   find({ table, filter, limit, offset, transaction })            -> { items, total }
+ *   update({ table, primaryKey, id, changes, transaction })        -> record | null
+ *
+ * `filter` is an object of equalities, `deleted: null` included to skip the
+ * soft-deleted records. `transaction` is the handle of the transaction active
+ * in the async context, if any.
+ */
+class Repository {
+  constructor({ name, Model, dependencies }) {
+    /* Base Properties */
+    this._dependencies = dependencies;
+
+    /* Custom Properties */
+    this._Model = Model;
+    this._utilities = this._dependencies.utilities;
+
+    /* Assigments */
+    this._name = name;
+    this._table = Model.table || name;
+    this._statuses = { ...ModelBase.defaultStatuses, ...Model.statuses };
+    this._primaryKey = null;
+  }
+
+  /**
+   * Creates a record. The primary key is generated when missing, `created`
+   * and `modified` are stamped with the request principal.
+   */
+  async create(data = {}) {
+    const log = this.#auditLog();
+    const record = this.#toRecord({
+      ...data,
+      created: log,
+      modified: log,
+      deleted: null,
+    });
+    const primaryKey = this.#getPrimaryKey();
+
+    if (!record[primaryKey]) {
+      record[primaryKey] = this._utilities.generator.id({});
+    }
+
+    return this.#call('insert', { primaryKey, record });
+  }
+
+  /**
+   * @param {string} id
+   * @param {Object} [options]
+   * @param {boolean} [options.withDeleted] - Also return a soft-deleted record
+   * @returns {Promise<Object|null>}
+   */
+  async findById(id, { withDeleted = false } = {}) {
+    const record = await this.#call('findById', {
+      primaryKey: this.#getPrimaryKey(),
+      id,
+    });
+
+    if (!record || (record.deleted && !withDeleted)) {
+      return null;
+    }
+
+    return record;
+  }
+
+  /**
+   * @param {Object} [filter] - Equalities on the record properties
+   * @param {Object} [pagination]
+   * @param {number} [pagination.page] - Starting at 1
+   * @param {number} [pagination.limit]
+   * @param {Object} [options]
+   * @param {boolean} [options.withDeleted] - Include soft-deleted records
+   * @returns {Promise<{items: Object[], total: number, page: number, limit: number}>}
+   */
+  async find(
+    filter = {},
+    { page = 1, limit = 20 } = {},
+    { withDeleted = false } = {},
+  ) {
+    const currentPage = Math.max(1, Number(page) || 1);
+    const pageSize = Math.max(1, Number(limit) || 20);
+    const { items = [], total = 0 } =
+      (await this.#call('find', {
+        filter: withDeleted ? filter : { ...filter, deleted: null },
+        limit: pageSize,
+        offset: (currentPage - 1) * pageSize,
+      })) || {};
+
+    return { items, total, page: currentPage, limit: pageSize };
+  }
+
+  /**
+   * Updates the given properties of a record that is not soft-deleted. The
+   * primary key and the audit logs cannot be changed; `modified` is stamped.
+   *
+   * @returns {Promise<Object|null>} The updated record, null when not found
+   */
+  async update(id, changes = {}) {
+    const primaryKey = this.#getPrimaryKey();
+    const { [primaryKey]: _primaryKey, created, deleted, ...allowed } = changes;
+
+    if (!(await this.findById(id))) {
+      return null;
+    }
+
+    return this.#write(id, allowed);
+  }
+
+  /**
+   * Marks a record as deleted: `deleted` gets the audit log and `status` the
+   * `deleted` status.
+   *
+   * @returns {Promise<Object|null>} The updated record, null when not found
+   */
+  async softDelete(id) {
+    if (!(await this.findById(id))) {
+      return null;
+    }
+
+    return this.#write(id, {
+      deleted: this.#auditLog(),
+      status: this._statuses.deleted,
+    });
+  }
+
+  /**
+   * Brings back a soft-deleted record as `active`.
+   *
+   * @returns {Promise<Object|null>} The updated record, null when not found
+   */
+  async restore(id) {
+    if (!(await this.findById(id, { withDeleted: true }))) {
+      return null;
+    }
+
+    return this.#write(id, { deleted: null, status: this._statuses.active });
+  }
+
+  #write(id, changes) {
+    return this.#call('update', {
+      primaryKey: this.#getPrimaryKey(),
+      id,
+      changes: { ...changes, modified: this.#auditLog() },
+    });
+  }
+
+  #call(method, args) {
+    const database = this._dependencies.DatabaseModule;
+    const { name, adapter } = database.connection();
+
+    if (typeof adapter[method] !== 'function') {
+      throw new Error(
+        `Database connection "${name}" does not implement ${method}(), required by the ${this._name} repository`,
+      );
+    }
+
+    return adapter[method]({
+      table: this._table,
+      transaction: database.currentTransaction()?.client,
+      ...args,
+    });
+  }
+
+  #auditLog() {
+    const principal = ContextUtil.get()?.principal;
+
+    return {
+      user: principal ? { id: principal.id } : {},
+      timestamp: this._utilities.generator.time.timestamp(),
+    };
+  }
+
+  #toRecord(data) {
+    return new this._Model(data, this._dependencies).toJSON();
+  }
+
+  #getPrimaryKey() {
+    if (!this._primaryKey) {
+      const instance = new this._Model({}, this._dependencies);
+      const [primaryKey] = Object.entries(instance).find(
+        ([, property]) => this.#isProperty(property) && property.isPK,
+      ) || ['id'];
+
+      this._primaryKey = primaryKey;
+    }
+
+    return this._primaryKey;
+  }
+
+  #isProperty(property) {
+    return (
+      property instanceof SimpleProperty || property instanceof ComplexProperty
+    );
+  }
+
+  get name() {
+    return this._name;
+  }
+
+  get table() {
+    return this._table;
+  }
+}
+
+module.exports = { Repository };
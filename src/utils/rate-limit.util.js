@@ -0,0 +1,191 @@
+const { MemoryStore } = require('./rate-limit/memory.store');
+const { TooManyRequestsError } = require('./errors/http.error');
+
+/**
+ * Fixed-window rate limiting for HTTP endpoints.
+ *
+ * Limits come from `settings.rateLimit` (applied to every endpoint) and from
+ * the `rateLimit` property of each router endpoint, which is merged on top.
+ * `rateLimit: false` opts an endpoint out of the global limit.
+ *
+ *   { windowMs: 60000, max: 100, key: 'ip' | 'identity' | 'header', header: 'x-api-key' }
+ *
+ * Store contract (default: in-memory, `settings.rateLimit.store` names a
+ * dependency for shared backends):
+ *
+ *   async increment(key, windowMs) -> { count, resetAt }   // resetAt in epoch ms
+ *   async reset?(key)
+ *   close?()
+ */
+class RateLimitUtil {
+  constructor(dependencies) {
+    /* Base Properties */
+    this._dependencies = dependencies;
+    this._console = this._dependencies.console;
+
+    /* Custom Properties */
+    this._settings = this._dependencies.config?.settings?.rateLimit || {};
+
+    /* Assigments */
+    this._namespace = '[Loom]::[Utils]::[RateLimit]';
+    this._store = null;
+    this._keyStrategies = {
+      ip: (req) => req.ip,
+      identity: (req) => req.principal?.id ?? req.decodedToken?.identity,
+      header: (req, options) =>
+        req.headers[(options.header || 'x-api-key').toLowerCase()],
+    };
+  }
+
+  /**
+   * Creates the store, so a misconfigured one fails the boot instead of
+   * every request. Called by the ApiModule.
+   *
+   * @throws {Error} When the store is not a dependency or lacks `increment`
+   */
+  setup() {
+    this._store = this.#createStore();
+  }
+
+  /**
+   * Resolves the effective limit of an endpoint.
+   *
+   * @param {Object|boolean} [endpointLimit] - The `rateLimit` of the endpoint
+   * @returns {Object|null} Options, or null when the endpoint is not limited
+   */
+  #resolveOptions(endpointLimit) {
+    const { store, enabled, ...globalLimit } = this._settings;
+    const hasGlobalLimit = enabled !== false && !!globalLimit.max;
+
+    if (endpointLimit === false || (!endpointLimit && !hasGlobalLimit)) {
+      return null;
+    }
+
+    return {
+      windowMs: 60000,
+      max: 100,
+      key: 'ip',
+      ...(hasGlobalLimit ? globalLimit : {}),
+      ...(typeof endpointLimit === 'object' ? endpointLimit : {}),
+    };
+  }
+
+  /**
+   * Builds the middleware enforcing `options` for one endpoint. Every
+   * endpoint (`scope`) counts its requests separately.
+   *
+   * Over the limit it forwards a `TooManyRequestsError` (429) with the
+   * `Retry-After` header set. Failures of the store let the request through.
+   */
+  #createMiddleware(options, scope) {
+    return async (req, res, next) => {
+      const client = this.#resolveKey(req, options);
+      const store = this.store;
+
+      try {
+        const { count, resetAt } = await store.increment(
+          `${scope}:${client}`,
+          options.windowMs,
+        );
+        const resetSeconds = Math.max(
+          0,
+          Math.ceil((resetAt - Date.now()) / 1000),
+        );
+
+        res.setHeader('RateLimit-Limit', options.max);
+        res.setHeader('RateLimit-Remaining', Math.max(0, options.max - count));
+        res.setHeader('RateLimit-Reset', resetSeconds);
+
+        if (count > options.max) {
+          res.setHeader('Retry-After', resetSeconds);
+
+          return next(
+            new TooManyRequestsError(
+              options.message || 'Too many requests, please try again later',
+              { result: { limit: options.max, retryAfter: resetSeconds } },
+            ),
+          );
+        }
+      } catch (error) {
+        this._console.error('Rate limit store failed, request allowed', {
+          namespace: this._namespace,
+          error,
+        });
+      }
+
+      next();
+    };
+  }
+
+  /**
+   * Identifies the client. `key` is a strategy name or a `(req) => string`
+   * function. Falls back to the IP when the strategy finds nothing.
+   */
+  #resolveKey(req, options) {
+    const strategy =
+      typeof options.key === 'function'
+        ? options.key
+        : this._keyStrategies[options.key] || this._keyStrategies.ip;
+
+    return strategy(req, options) || req.ip;
+  }
+
+  #createStore() {
+    const storeName = this._settings.store;
+
+    if (!storeName) {
+      return new MemoryStore({ settings: this._settings });
+    }
+
+    const Store = this._dependencies[storeName];
+
+    if (!Store) {
+      throw new Error(`Rate limit store "${storeName}" is not a dependency`);
+    }
+
+    const store =
+      typeof Store === 'function'
+        ? new Store({
+            dependencies: this._dependencies,
+            settings: this._settings,
+          })
+        : Store;
+
+    if (typeof store?.increment !== 'function') {
+      throw new Error(
+        `Rate limit store "${storeName}" must implement increment()`,
+      );
+    }
+
+    return store;
+  }
+
+  get store() {
+    if (!this._store) {
+      this._store = this.#createStore();
+    }
+
+    return this._store;
+  }
+
+  close() {
+    this._store?.close?.();
+    this._store = null;
+  }
+
+  get rateLimit() {
+    const util = this;
+
+    return {
+      setup: this.setup.bind(this),
+      options: this.#resolveOptions.bind(this),
+      middleware: this.#createMiddleware.bind(this),
+      close: this.close.bind(this),
+      get store() {
+        return util.store;
+      },
+    };
+  }
+}
+
+module.exports = RateLimitUtil;
@@ -0,0 +1,54 @@
+/**
+ * Fixed-window counter kept in process memory. The default rate limit store.
+ *
+ * Counters are per process: with several instances behind a balancer use a
+ * shared store (see the store contract in RateLimitUtil).
+ */
+class MemoryStore {
+  constructor({ settings = {} } = {}) {
+    /* Assigments */
+    this._hits = new Map();
+    this._cleanupInterval = setInterval(
+      () => this.#cleanup(),
+      settings.cleanupIntervalMs || 60000,
+    );
+
+    // Never keeps the process alive on its own
+    this._cleanupInterval.unref();
+  }
+
+  async increment(key, windowMs) {
+    const now = Date.now();
+    let entry = this._hits.get(key);
+
+    if (!entry || entry.resetAt <= now) {
+      entry = { count: 0, resetAt: now + windowMs };
+      this._hits.set(key, entry);
+    }
+
+    entry.count += 1;
+
+    return { count: entry.count, resetAt: entry.resetAt };
+  }
+
+  async reset(key) {
+    return this._hits.delete(key);
+  }
+
+  close() {
+    clearInterval(this._cleanupInterval);
+    this._hits.clear();
+  }
+
+  #cleanup() {
+    const now = Date.now();
+
+    this._hits.forEach((entry, key) => {
+      if (entry.resetAt <= now) {
+        this._hits.delete(key);
+      }
+    });
+  }
+}
+
+module.exports = { MemoryStore };
@@ -5,6 +5,7 @@ class SseUtil {
 
     /* Assigments */
     this._namespace = '[Loom]::[Utils]::[SSE]';
+    this._streams = new Set();
   }
 
   /**
@@ -31,8 +32,11 @@ class SseUtil {
 
     res.flushHeaders();
 
+    this._streams.add(stream);
+
     res.on('close', () => {
       stream._closed = true;
+      this._streams.delete(stream);
     });
 
     /**
@@ -94,9 +98,24 @@ class SseUtil {
     return stream;
   }
 
+  /**
+   * Closes every open SSE stream. Used by the graceful shutdown sequence.
+   *
+   * @returns {number} Amount of streams closed
+   */
+  #closeAllStreams() {
+    const streams = [...this._streams];
+
+    streams.forEach((stream) => stream.close());
+    this._streams.clear();
+
+    return streams.length;
+  }
+
   get sse() {
     return {
       createStream: this.#createStream.bind(this),
+      closeAll: this.#closeAllStreams.bind(this),
     };
   }
 }
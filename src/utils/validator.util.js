@@ -1,3 +1,13 @@
+const ContextUtil = require('./context.util');
+const WildcardUtil = require('./wildcard.util');
+const {
+  HttpError,
+  ValidationError,
+  UnauthorizedError,
+  ForbiddenError,
+  InternalServerError,
+} = require('./errors/http.error');
+
 class ValidatorUtil {
   constructor(dependencies) {
     /* Base Properties */
@@ -8,9 +18,19 @@ class ValidatorUtil {
     /* Custom Properties */
     this._bcrypt = this._dependencies.bcrypt;
     this._jwt = this._dependencies.jwt;
+    this._crypto = this._dependencies.crypto;
+    this._authSettings = this._config?.settings?.auth || {};
+    this._authorizationSettings = this._config?.settings?.authorization || {};
 
     /* Assigments */
     this._namespace = '[Loom]::[Utils]::[Validator]';
+    this._permissionResolver = null;
+    this._strategies = new Map([
+      ['token', this.#tokenStrategy.bind(this)],
+      ['bearer', this.#bearerStrategy.bind(this)],
+      ['apiKey', this.#apiKeyStrategy.bind(this)],
+      ['hmac', this.#hmacStrategy.bind(this)],
+    ]);
   }
 
   #objectIsEmpty(obj) {
@@ -68,49 +88,763 @@ class ValidatorUtil {
     return providedSignature === expectedSignature;
   }
 
+  /**
+   * Legacy middleware for `protected: true`: the encrypted `x-access-token`.
+   * Keeps its historical 403 responses.
+   */
   async #validateApi(req, res, next) {
     try {
-      // check header or url parameters or post parameters for token
-      const encryptedToken =
-        req.body.token || req.query.token || req.headers['x-access-token'];
+      const principal = await this.#tokenStrategy(req);
 
       // exist token
-      if (!encryptedToken) {
+      if (!principal) {
         // if there is no token return an error
         return res
           .status(403)
           .json(this._utilities.io.response.error('No token provided.'));
       }
 
-      const decipherToken = this._utilities.encoder.crypto.decipherObject(
-        this._config?.services?.apiModule?.secret || '',
-        encryptedToken,
-      );
+      this.#attachPrincipal(req, 'token', principal);
 
-      if (!decipherToken || !decipherToken.token) {
-        return res
-          .status(403)
-          .json(
-            this._utilities.io.response.error(
-              'Malformed token. Try with a valid token',
+      next();
+    } catch (error) {
+      return res
+        .status(403)
+        .json(
+          this._utilities.io.response.error(
+            error instanceof HttpError
+              ? error.message
+              : 'Failed to authenticate token.',
+          ),
+        );
+    }
+  }
+
+  /**
+   * Builds the middleware for `protected: 'bearer'` or
+   * `protected: ['bearer', 'apiKey']`: the first strategy that authenticates
+   * the request wins and its principal is attached as `req.principal`.
+   *
+   * A strategy is `async (req, { settings, dependencies }) => principal | null`:
+   * `null` means its credentials are not present, throwing means they are invalid.
+   * Fails with a 401 `UnauthorizedError` when no strategy passes.
+   */
+  #authenticate(strategies) {
+    const names = [].concat(strategies === true ? 'token' : strategies);
+
+    return async (req, res, next) => {
+      let failure = null;
+
+      for (const name of names) {
+        const strategy = this.#resolveStrategy(name);
+
+        if (!strategy) {
+          return next(
+            new InternalServerError(
+              `Unknown authentication strategy "${name}"`,
             ),
           );
+        }
+
+        try {
+          const principal = await strategy(req, {
+            settings: this._authSettings[name] || {},
+            dependencies: this._dependencies,
+          });
+
+          if (principal) {
+            this.#attachPrincipal(req, name, principal);
+
+            return next();
+          }
+        } catch (error) {
+          failure = failure || error;
+        }
+      }
+
+      if (names.includes('bearer')) {
+        res.setHeader('WWW-Authenticate', 'Bearer');
+      }
+
+      // Errors from custom strategies are not shown unless they are HttpErrors
+      next(
+        failure instanceof HttpError
+          ? failure
+          : new UnauthorizedError(
+              failure ? 'Invalid credentials' : 'No credentials provided',
+            ),
+      );
+    };
+  }
+
+  /**
+   * Registers a custom strategy, usable by name in `protected`.
+   *
+   * @param {string} name - Strategy name
+   * @param {Function|{ authenticate: Function }} strategy
+   */
+  #registerStrategy(name, strategy) {
+    const handler =
+      typeof strategy === 'function'
+        ? strategy
+        : strategy?.authenticate?.bind(strategy);
+
+    if (!name || typeof handler !== 'function') {
+      throw new Error(
+        'An authentication strategy needs a name and an authenticate function',
+      );
+    }
+
+    this._strategies.set(name, handler);
+  }
+
+  #resolveStrategy(name) {
+    if (!this._strategies.has(name) && this._authSettings.strategies?.[name]) {
+      // Custom strategy declared in config, injected through `customDependencies`
+      this.#registerStrategy(
+        name,
+        this._dependencies[this._authSettings.strategies[name]],
+      );
+    }
+
+    return this._strategies.get(name);
+  }
+
+  /**
+   * Builds the middleware enforcing the `roles` and `permissions` of an
+   * endpoint on the authenticated `req.principal`:
+   *
+   * - `roles`: the principal needs at least one of them.
+   * - `permissions`: the principal needs all of them. Granted permissions may
+   *   use wildcards (`orders:*`, `*`).
+   *
+   * Roles and permissions from the configured resolver are merged into the
+   * principal first. Fails with a 403 `ForbiddenError`.
+   */
+  #authorize({ roles = [], permissions = [] } = {}) {
+    const requiredRoles = [].concat(roles);
+    const requiredPermissions = [].concat(permissions);
+
+    return async (req, res, next) => {
+      if (!req.principal) {
+        return next(new UnauthorizedError('Authentication required'));
       }
 
-      const decoded = await this.#validateToken(decipherToken.token);
-      req.decodedToken = decoded;
-      req.token = encryptedToken;
+      try {
+        await this.#resolvePermissions(req.principal);
+      } catch (error) {
+        return next(error);
+      }
+
+      const granted = req.principal;
+      const hasRole =
+        !requiredRoles.length ||
+        requiredRoles.some((role) => (granted.roles || []).includes(role));
+      const missingPermissions = requiredPermissions.filter(
+        (permission) =>
+          !(granted.permissions || []).some((pattern) =>
+            WildcardUtil.matches(pattern, permission),
+          ),
+      );
+
+      if (!hasRole || missingPermissions.length) {
+        return next(
+          new ForbiddenError('Insufficient permissions', {
+            result: {
+              ...(hasRole ? {} : { roles: requiredRoles }),
+              ...(missingPermissions.length
+                ? { permissions: missingPermissions }
+                : {}),
+            },
+          }),
+        );
+      }
 
       next();
+    };
+  }
+
+  /**
+   * Merges the roles and permissions returned by the resolver service into the
+   * principal, once per request. Configured under `settings.authorization`:
+   *
+   *   { "resolver": { "service": "PermissionService", "method": "resolve" } }
+   *
+   * `services[service]` may be a class (instantiated once with the
+   * dependencies) or an object. The method receives `{ principal }` and
+   * returns `{ roles?, permissions? }` or an array of permissions.
+   */
+  async #resolvePermissions(principal) {
+    const resolver = this.#getPermissionResolver();
+
+    if (!resolver || principal.isResolved) {
+      return principal;
+    }
+
+    const result = await resolver({ principal });
+    const resolved = Array.isArray(result)
+      ? { permissions: result }
+      : result || {};
+
+    principal.roles = [
+      ...new Set([...(principal.roles || []), ...(resolved.roles || [])]),
+    ];
+    principal.permissions = [
+      ...new Set([
+        ...(principal.permissions || []),
+        ...(resolved.permissions || []),
+      ]),
+    ];
+
+    Object.defineProperty(principal, 'isResolved', { value: true });
+
+    return principal;
+  }
+
+  #getPermissionResolver() {
+    const settings = this._authorizationSettings.resolver;
+
+    if (!settings) {
+      return null;
+    }
+
+    const { service, method = 'resolve' } =
+      typeof settings === 'string' ? { service: settings } : settings;
+    const Service = this._dependencies.services?.[service];
+
+    // Reused until the services are reloaded
+    if (this._permissionResolver?.source === Service) {
+      return this._permissionResolver.resolve;
+    }
+
+    const instance =
+      typeof Service === 'function' ? new Service(this._dependencies) : Service;
+
+    if (typeof instance?.[method] !== 'function') {
+      throw new InternalServerError(
+        `Permission resolver "${service}.${method}" is not available`,
+      );
+    }
+
+    this._permissionResolver = {
+      source: Service,
+      resolve: instance[method].bind(instance),
+    };
+
+    return this._permissionResolver.resolve;
+  }
+
+  /**
+   * Same principal shape whichever strategy passed:
+   *   { strategy, id, roles?, permissions?, claims?, ... }
+   */
+  #attachPrincipal(req, strategy, principal) {
+    req.principal = { strategy, ...principal, id: principal.id ?? null };
+
+    ContextUtil.set({ principal: req.principal });
+  }
+
+  /**
+   * Encrypted token from body, query or `x-access-token`: AES-CTR decrypted
+   * with `services.apiModule.secret`, then verified as a JWT with `server.secret`.
+   */
+  async #tokenStrategy(req) {
+    // check header or url parameters or post parameters for token
+    const encryptedToken =
+      req.body?.token || req.query?.token || req.headers['x-access-token'];
+
+    if (!encryptedToken) {
+      return null;
+    }
+
+    let decipherToken;
+    let decoded;
+
+    try {
+      decipherToken = this._utilities.encoder.crypto.decipherObject(
+        this._config?.services?.apiModule?.secret || '',
+        encryptedToken,
+      );
     } catch (error) {
-      return res
-        .status(403)
-        .json(
-          this._utilities.io.response.error('Failed to authenticate token.'),
+      throw new UnauthorizedError('Failed to authenticate token.');
+    }
+
+    if (!decipherToken || !decipherToken.token) {
+      throw new UnauthorizedError('Malformed token. Try with a valid token');
+    }
+
+    try {
+      decoded = await this.#validateToken(decipherToken.token);
+    } catch (error) {
+      throw new UnauthorizedError('Failed to authenticate token.');
+    }
+
+    req.decodedToken = decoded;
+    req.token = encryptedToken;
+
+    return {
+      id: decoded?.identity,
+      roles: decoded?.roles,
+      permissions: decoded?.permissions,
+      claims: decoded,
+    };
+  }
+
+  /**
+   * Standard `Authorization: Bearer <jwt>`, verified with
+   * `settings.auth.bearer.secret` (defaults to `server.secret`).
+   */
+  async #bearerStrategy(req) {
+    const [scheme, token] = (req.headers.authorization || '').split(' ');
+
+    if (!/^bearer$/i.test(scheme) || !token) {
+      return null;
+    }
+
+    const settings = this._authSettings.bearer || {};
+    const options = Object.fromEntries(
+      ['issuer', 'audience', 'algorithms']
+        .filter((key) => settings[key])
+        .map((key) => [key, settings[key]]),
+    );
+
+    const claims = await new Promise((resolve, reject) => {
+      this._jwt.verify(
+        token,
+        settings.secret || this._config?.server?.secret || '',
+        options,
+        (error, decoded) =>
+          error
+            ? reject(new UnauthorizedError('Invalid bearer token'))
+            : resolve(decoded),
+      );
+    });
+
+    req.decodedToken = claims;
+
+    return {
+      id: claims.sub ?? claims.identity ?? null,
+      roles: claims.roles,
+      permissions:
+        claims.permissions ??
+        (typeof claims.scope === 'string'
+          ? claims.scope.split(' ')
+          : undefined),
+      claims,
+    };
+  }
+
+  /**
+   * API key from `settings.auth.apiKey.header` (default `x-api-key`), checked
+   * against the configured `keys` or a `resolver` dependency.
+   */
+  async #apiKeyStrategy(req) {
+    const settings = this._authSettings.apiKey || {};
+    const key = req.headers[(settings.header || 'x-api-key').toLowerCase()];
+
+    if (!key) {
+      return null;
+    }
+
+    if (settings.resolver) {
+      const resolver = this._dependencies[settings.resolver];
+      const principal = await (typeof resolver === 'function'
+        ? resolver(key, { req })
+        : resolver?.resolve?.(key, { req }));
+
+      if (!principal) {
+        throw new UnauthorizedError('Invalid API key');
+      }
+
+      return principal;
+    }
+
+    const match = (settings.keys || [])
+      .map((entry) => (typeof entry === 'string' ? { key: entry } : entry))
+      .find((entry) => this.#safeEqual(entry.key, key));
+
+    if (!match) {
+      throw new UnauthorizedError('Invalid API key');
+    }
+
+    // Never expose the key itself in the principal
+    const { key: _key, ...principal } = match;
+
+    return principal;
+  }
+
+  /**
+   * HMAC-signed requests, with the secret of `x-client-id` in
+   * `settings.auth.hmac.clients` or the shared `settings.auth.hmac.secret`:
+   *
+   * - `x-signature` + `x-timestamp`: signature of
+   *   `timestamp\nMETHOD\n/original/url\nraw body` through `crypto.hmac`.
+   * - `x-signed-data`: a `data_signature` value checked with `signedData.isValid`.
+   */
+  async #hmacStrategy(req) {
+    const settings = this._authSettings.hmac || {};
+    const signature = req.headers['x-signature'];
+    const signedData = req.headers['x-signed-data'];
+
+    if (!signature && !signedData) {
+      return null;
+    }
+
+    const clientId = req.headers['x-client-id'];
+    const secret = clientId ? settings.clients?.[clientId] : settings.secret;
+
+    if (!secret) {
+      throw new UnauthorizedError('Unknown HMAC client');
+    }
+
+    if (signedData) {
+      if (!this.#validateSignedData(signedData, secret)) {
+        throw new UnauthorizedError('Invalid signed data');
+      }
+
+      return { id: clientId ?? null };
+    }
+
+    const timestamp = Number(req.headers['x-timestamp']);
+
+    // Bounds replays of a captured request
+    if (
+      !timestamp ||
+      Math.abs(Date.now() - timestamp) > (settings.toleranceMs ?? 300000)
+    ) {
+      throw new UnauthorizedError('Missing or expired request timestamp');
+    }
+
+    const payload = [
+      timestamp,
+      req.method,
+      req.originalUrl,
+      req.rawBody ? req.rawBody.toString('utf8') : '',
+    ].join('\n');
+    const expected = this._utilities.crypto.hmac.generateSignature(
+      payload,
+      secret,
+    );
+
+    if (!this.#safeEqual(expected, signature)) {
+      throw new UnauthorizedError('Invalid request signature');
+    }
+
+    return { id: clientId ?? null };
+  }
+
+  #safeEqual(expected, received) {
+    if (typeof expected !== 'string' || typeof received !== 'string') {
+      return false;
+    }
+
+    const a = Buffer.from(expected);
+    const b = Buffer.from(received);
+
+    return a.length === b.length && this._crypto.timingSafeEqual(a, b);
+  }
+
+  /**
+   * Validates a value against a JSON Schema subset (the same one OpenAPI uses):
+   * `type`, `nullable`, `enum`, `required`, `properties`, `additionalProperties`,
+   * `items`, `minLength`/`maxLength`, `pattern`, `format`, `minimum`/`maximum`,
+   * `exclusiveMinimum`/`exclusiveMaximum`, `minItems`/`maxItems`.
+   *
+   * With `coerce: true` strings are read as numbers/booleans before checking,
+   * which is what query strings, path params and headers need.
+   *
+   * @param {*} value - Value to check
+   * @param {Object} schema - Schema to check against
+   * @param {Object} [options]
+   * @param {string} [options.path=''] - Prefix for the reported field names
+   * @param {boolean} [options.coerce=false] - Coerce strings to the expected type
+   * @returns {Array<{ field: string, message: string }>} Empty when valid
+   */
+  #validateSchema(value, schema, { path = '', coerce = false } = {}) {
+    return this.#parseSchema(value, schema, { path, coerce }).errors;
+  }
+
+  // Same as `#validateSchema`, also returning the value as read (coerced)
+  #parseSchema(value, schema, { path = '', coerce = false } = {}) {
+    const errors = [];
+    const parsed = this.#checkSchema(value, schema, { path, coerce, errors });
+
+    return { value: parsed, errors };
+  }
+
+  #checkSchema(value, schema, { path, coerce, errors }) {
+    if (!schema || typeof schema !== 'object') {
+      return value;
+    }
+
+    const field = path || '(root)';
+    const report = (message) => errors.push({ field, message });
+
+    if (value === undefined) {
+      return value;
+    }
+
+    if (value === null) {
+      if (!schema.nullable && ![].concat(schema.type).includes('null')) {
+        report('must not be null');
+      }
+      return value;
+    }
+
+    const types = schema.type ? [].concat(schema.type) : [];
+
+    if (coerce && typeof value === 'string') {
+      value = this.#coerceValue(value, types);
+    }
+
+    if (types.length && !types.some((type) => this.#isOfType(value, type))) {
+      report(`must be of type ${types.join('|')}`);
+      return value;
+    }
+
+    if (schema.enum && !schema.enum.includes(value)) {
+      report(`must be one of: ${schema.enum.join(', ')}`);
+    }
+
+    if (typeof value === 'string') {
+      this.#checkString(value, schema, report);
+    }
+
+    if (typeof value === 'number') {
+      this.#checkNumber(value, schema, report);
+    }
+
+    if (Array.isArray(value)) {
+      if (schema.minItems !== undefined && value.length < schema.minItems) {
+        report(`must contain at least ${schema.minItems} items`);
+      }
+      if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+        report(`must contain at most ${schema.maxItems} items`);
+      }
+
+      const items = value.map((item, index) =>
+        this.#checkSchema(item, schema.items, {
+          path: `${path}[${index}]`,
+          coerce,
+          errors,
+        }),
+      );
+
+      return coerce ? items : value;
+    }
+
+    if (typeof value === 'object') {
+      return this.#checkObject(value, schema, { path, coerce, errors });
+    }
+
+    return value;
+  }
+
+  #checkObject(value, schema, { path, coerce, errors }) {
+    const properties = schema.properties || {};
+    const join = (key) => (path ? `${path}.${key}` : key);
+    const parsed = { ...value };
+
+    (schema.required || []).forEach((key) => {
+      if (value[key] === undefined || value[key] === '') {
+        errors.push({ field: join(key), message: 'is required' });
+      }
+    });
+
+    Object.keys(value).forEach((key) => {
+      if (properties[key]) {
+        parsed[key] = this.#checkSchema(value[key], properties[key], {
+          path: join(key),
+          coerce,
+          errors,
+        });
+      } else if (schema.additionalProperties === false) {
+        errors.push({ field: join(key), message: 'is not allowed' });
+      } else if (typeof schema.additionalProperties === 'object') {
+        parsed[key] = this.#checkSchema(
+          value[key],
+          schema.additionalProperties,
+          { path: join(key), coerce, errors },
         );
+      }
+    });
+
+    return coerce ? parsed : value;
+  }
+
+  #checkString(value, schema, report) {
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      report(`must be at least ${schema.minLength} characters long`);
+    }
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+      report(`must be at most ${schema.maxLength} characters long`);
+    }
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+      report(`must match pattern ${schema.pattern}`);
+    }
+
+    const formats = {
+      email: /^[^\s@]+@[^\s@]+\.[^\s@]+$/,
+      uuid: /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i,
+      date: /^\d{4}-\d{2}-\d{2}$/,
+      'date-time':
+        /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:\d{2})$/,
+      uri: /^[a-z][a-z\d+\-.]*:\/\/\S+$/i,
+    };
+
+    // Unknown formats are annotations only, as in JSON Schema
+    if (schema.format && formats[schema.format]) {
+      const isValid =
+        formats[schema.format].test(value) &&
+        (!schema.format.startsWith('date') || !isNaN(Date.parse(value)));
+
+      if (!isValid) {
+        report(`must be a valid ${schema.format}`);
+      }
+    }
+  }
+
+  #checkNumber(value, schema, report) {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      report(`must be >= ${schema.minimum}`);
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      report(`must be <= ${schema.maximum}`);
+    }
+    if (
+      schema.exclusiveMinimum !== undefined &&
+      value <= schema.exclusiveMinimum
+    ) {
+      report(`must be > ${schema.exclusiveMinimum}`);
+    }
+    if (
+      schema.exclusiveMaximum !== undefined &&
+      value >= schema.exclusiveMaximum
+    ) {
+      report(`must be < ${schema.exclusiveMaximum}`);
     }
   }
 
+  #isOfType(value, type) {
+    switch (type) {
+      case 'integer':
+        return Number.isInteger(value);
+      case 'number':
+        return typeof value === 'number' && !Number.isNaN(value);
+      case 'array':
+        return Array.isArray(value);
+      case 'object':
+        return typeof value === 'object' && !Array.isArray(value);
+      case 'null':
+        return value === null;
+      default:
+        return typeof value === type;
+    }
+  }
+
+  #coerceValue(value, types) {
+    if (types.includes('string')) {
+      return value;
+    }
+
+    if (
+      (types.includes('number') || types.includes('integer')) &&
+      value.trim() !== '' &&
+      !Number.isNaN(Number(value))
+    ) {
+      return Number(value);
+    }
+
+    if (types.includes('boolean') && (value === 'true' || value === 'false')) {
+      return value === 'true';
+    }
+
+    if (types.includes('array')) {
+      return value.split(',');
+    }
+
+    return value;
+  }
+
+  /**
+   * Builds the middleware that checks a request against the `schema` block of
+   * an endpoint definition: `{ body, query, params, headers }`.
+   *
+   * Answers 400 with the list of field errors in `result` when anything fails.
+   */
+  #validateApiSchema(schema = {}) {
+    const locations = ['params', 'query', 'headers', 'body'];
+
+    return (req, _res, next) => {
+      const parsed = {};
+      const errors = locations.flatMap((location) => {
+        if (!schema[location]) {
+          return [];
+        }
+
+        // Header names arrive lowercased
+        const target =
+          location === 'headers'
+            ? this.#lowercaseHeaderSchema(schema.headers)
+            : schema[location];
+        const { value, errors: locationErrors } = this.#parseSchema(
+          req[location] ?? {},
+          target,
+          {
+            // Form bodies (urlencoded, multipart) carry strings only
+            coerce: location !== 'body' || !req.is('application/json'),
+          },
+        );
+
+        parsed[location] = value;
+
+        return locationErrors.map((error) => ({ location, ...error }));
+      });
+
+      if (errors.length) {
+        return next(new ValidationError('Request validation failed', errors));
+      }
+
+      this.#assignParsed(req, parsed);
+
+      next();
+    };
+  }
+
+  // The handler receives the coerced values. Headers stay as Node parsed them
+  #assignParsed(req, { params, query, body }) {
+    if (params) {
+      req.params = params;
+    }
+
+    // `req.query` is a getter in Express 5, it is shadowed on the request
+    if (query) {
+      Object.defineProperty(req, 'query', {
+        value: query,
+        writable: true,
+        configurable: true,
+        enumerable: true,
+      });
+    }
+
+    if (body && req.body !== undefined) {
+      req.body = body;
+    }
+  }
+
+  #lowercaseHeaderSchema(schema) {
+    return {
+      ...schema,
+      required: (schema.required || []).map((key) => key.toLowerCase()),
+      properties: Object.fromEntries(
+        Object.entries(schema.properties || {}).map(([key, value]) => [
+          key.toLowerCase(),
+          value,
+        ]),
+      ),
+    };
+  }
+
   #responseIsValid(property) {
     let isValid = false;
 
@@ -134,6 +868,13 @@ class ValidatorUtil {
       },
       api: {
         endpoint: this.#validateApi.bind(this),
+        authenticate: this.#authenticate.bind(this),
+        register: this.#registerStrategy.bind(this),
+        authorize: this.#authorize.bind(this),
+        schema: this.#validateApiSchema.bind(this),
+      },
+      schema: {
+        validate: this.#validateSchema.bind(this),
       },
       signedData: {
         isValid: this.#validateSignedData.bind(this),
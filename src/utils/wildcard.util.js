@@ -0,0 +1,41 @@
+/**
+ * Patterns where `*` stands for any run of characters, used by the console
+ * namespace levels, the endpoint permissions and the CORS origins.
+ */
+class WildcardUtil {
+  /**
+   * Compiles `pattern` into an anchored RegExp. Everything but `*` matches
+   * literally.
+   *
+   * @param {string} pattern - e.g. `[Loom]::*`, `orders:*`
+   * @param {Object} [options]
+   * @param {string} [options.wildcard] - Expression `*` stands for, `.*` by default
+   * @returns {RegExp}
+   */
+  static compile(pattern, { wildcard = '.*' } = {}) {
+    const expression = `${pattern}`
+      .split('*')
+      .map((part) => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+      .join(wildcard);
+
+    return new RegExp(`^${expression}$`);
+  }
+
+  /**
+   * Whether `value` matches `pattern`. Patterns without `*` are compared as is.
+   *
+   * @param {string} pattern
+   * @param {string} value
+   * @param {Object} [options] - Same as `compile`
+   * @returns {boolean}
+   */
+  static matches(pattern, value, options) {
+    if (!`${pattern}`.includes('*')) {
+      return pattern === value;
+    }
+
+    return WildcardUtil.compile(pattern, options).test(value);
+  }
+}
+
+module.exports = WildcardUtil;